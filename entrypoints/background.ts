@@ -5,8 +5,19 @@
 
 // @ts-ignore - WXT global import issue
 declare const defineBackground: any;
-import { cleanUrl, analyzeUrl } from '../utils/clean-url-logic';
+import { syncAutoCleanRules } from '../utils/auto-clean';
+import { getBadgeState } from '../utils/badge';
+import { cleanUrl, analyzeUrl, cleanText, type CleanUrlResult } from '../utils/clean-url-logic';
+import { buildClipboardContent, buildMarkdownLink, copyToClipboard } from '../utils/clipboard';
 import { BADGE } from '../utils/config';
+import { syncCopyCleanerScript, syncLinkCleanerScript } from '../utils/content-scripts';
+import { createContextMenus, findLinkText } from '../utils/context-menus';
+import { handleExternalRequest } from '../utils/external-api';
+import { forgetNotification, getNotificationAction, showDuplicateTabsNotification, showNotification } from '../utils/notifications';
+import { describeOmniboxInput, openOmniboxInput, OMNIBOX_HINT } from '../utils/omnibox';
+import { getSettings, onSettingsChanged, toCleanUrlOptions, type Settings } from '../utils/settings';
+import { applyCleanUrlToTab, cleanTabInPlace, restoreOriginalUrl } from '../utils/tab-clean';
+import { cleanOpenTabs, closeDuplicateTabs, describeTabCleanup, type DuplicateTabGroup, type TabCleanupReport } from '../utils/tab-cleanup';
 
 export default defineBackground({
   main: () => {
@@ -29,6 +40,20 @@ export default defineBackground({
       handleTabUpdate(tabId, changeInfo, tab);
     });
 
+    // Page loads: auto-clean removes what its network rules can't (utm_*, hsa_*, ...) in place
+    chrome.webNavigation.onCommitted.addListener((details) => {
+      handlePageUrlChange(details);
+    });
+
+    // Single-page app navigations (pushState, #hash changes) never reach "complete"
+    chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+      handlePageUrlChange(details);
+    });
+
+    chrome.webNavigation.onReferenceFragmentUpdated.addListener((details) => {
+      handlePageUrlChange(details);
+    });
+
     // Tab activation - update badge when switching tabs
     chrome.tabs.onActivated.addListener((activeInfo) => {
       handleTabActivation(activeInfo);
@@ -39,45 +64,113 @@ export default defineBackground({
       handleActionClick(tab);
     });
 
+    // Settings changes (e.g. cleaning profile) - badges and auto-clean rules must reflect the new rules
+    onSettingsChanged((settings) => {
+      updateAllTabBadges();
+      updateAutoCleanRules(settings);
+      updateContentScripts(settings);
+    });
+
     // Context menu clicks
     chrome.contextMenus.onClicked.addListener((info, tab) => {
       handleContextMenuClick(info, tab);
     });
 
+    // Keyboard shortcuts (chrome://extensions/shortcuts)
+    chrome.commands.onCommand.addListener((command, tab) => {
+      handleCommand(command, tab);
+    });
+
+    // Address bar keyword: "clean <url>"
+    chrome.omnibox.onInputStarted.addListener(() => {
+      chrome.omnibox.setDefaultSuggestion({ description: OMNIBOX_HINT });
+    });
+
+    chrome.omnibox.onInputChanged.addListener((text) => {
+      handleOmniboxInput(text);
+    });
+
+    chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+      handleOmniboxEnter(text, disposition);
+    });
+
+    // Notification buttons (Undo / Copy)
+    chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+      handleNotificationButton(notificationId, buttonIndex);
+    });
+
+    chrome.notifications.onClosed.addListener((notificationId) => {
+      forgetNotification(notificationId);
+    });
+
     // Message handling for communication with popup/content scripts
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      if (request.action === 'getTrackingCount') {
-        const count = getTrackingParamCount(request.url);
-        sendResponse({ count });
-      } else if (request.action === 'cleanUrl') {
-        const result = cleanUrl(request.url);
-        sendResponse(result);
-      }
+      return handleMessage(request, sendResponse);
+    });
+
+    // Versioned API for allowlisted extensions and web pages (utils/external-api.ts)
+    chrome.runtime.onMessageExternal.addListener((request, sender, sendResponse) => {
+      getSettings().then((settings) => {
+        sendResponse(handleExternalRequest(request, sender, toCleanUrlOptions(settings)));
+      }).catch((error) => {
+        console.error('Error reading settings for external request:', error);
+        sendResponse(handleExternalRequest(request, sender));
+      });
 
       return true; // Keep message channel open for async response
     });
   }
 });
 
+/**
+ * Answers a message from the popup or a content script
+ * @param request - Message with an `action`
+ * @param sendResponse - Reply callback
+ * @returns True if the reply is sent asynchronously, so Chrome keeps the channel open
+ */
+function handleMessage(request: unknown, sendResponse: (response?: unknown) => void): boolean {
+  if (typeof request !== 'object' || request === null) {
+    return false;
+  }
+
+  const { action, url, duplicates } = request as Record<string, unknown>;
+  switch (action) {
+    case 'getTrackingCount':
+    case 'cleanUrl':
+      if (typeof url !== 'string') {
+        sendResponse({ error: 'url must be a string' });
+        return false;
+      }
+      if (action === 'getTrackingCount') {
+        getTrackingParamCount(url).then((count) => sendResponse({ count }));
+      } else {
+        getSettings().then((settings) => {
+          sendResponse(cleanUrl(url, toCleanUrlOptions(settings)));
+        });
+      }
+      return true;
+
+    case 'cleanAllTabs':
+      cleanAllTabs().then(sendResponse);
+      return true;
+
+    case 'closeDuplicateTabs':
+      if (!Array.isArray(duplicates)) {
+        sendResponse({ error: 'duplicates must be an array' });
+        return false;
+      }
+      closeDuplicates(duplicates).then((closedCount) => sendResponse({ closedCount }));
+      return true;
+
+    default:
+      // Not for the background (e.g. clipboard messages for the offscreen document)
+      return false;
+  }
+}
+
 function setupContextMenus() {
   try {
-    // Remove existing context menus first (in case of reload)
-    chrome.contextMenus.removeAll(() => {
-      // Create new context menus
-      chrome.contextMenus.create({
-        id: 'clean-current-url',
-        title: 'Open with cleaned URL',
-        contexts: ['page'],
-        documentUrlPatterns: ['http://*/*', 'https://*/*']
-      });
-
-      chrome.contextMenus.create({
-        id: 'clean-link-url',
-        title: 'Clean this link',
-        contexts: ['link'],
-        targetUrlPatterns: ['http://*/*', 'https://*/*']
-      });
-    });
+    createContextMenus();
   } catch (error) {
     console.error('Error setting up context menus:', error);
   }
@@ -96,6 +189,12 @@ function handleInstallation(details: chrome.runtime.InstalledDetails) {
 
   // Initialize badge for all tabs
   updateAllTabBadges();
+
+  // Dynamic rules and registered scripts survive updates - rebuild them for this version
+  getSettings().then((settings) => {
+    updateAutoCleanRules(settings);
+    updateContentScripts(settings);
+  });
 }
 
 function handleStartup() {
@@ -103,6 +202,32 @@ function handleStartup() {
   updateAllTabBadges();
 }
 
+/**
+ * Brings the declarativeNetRequest auto-clean rules in line with the settings
+ * @param settings - Current settings
+ */
+async function updateAutoCleanRules(settings: Settings) {
+  try {
+    const count = await syncAutoCleanRules(settings);
+    console.log(`Auto-clean ${settings.autoClean ? `enabled with ${count} rules` : 'disabled'}`);
+  } catch (error) {
+    console.error('Error updating auto-clean rules:', error);
+  }
+}
+
+/**
+ * Registers the link-cleaner and copy-cleaner content scripts where the settings turn them on
+ * @param settings - Current settings
+ */
+async function updateContentScripts(settings: Settings) {
+  try {
+    await syncLinkCleanerScript(settings);
+    await syncCopyCleanerScript(settings);
+  } catch (error) {
+    console.error('Error registering content scripts:', error);
+  }
+}
+
 async function handleTabUpdate(
   tabId: number,
   changeInfo: Parameters<Parameters<typeof chrome.tabs.onUpdated.addListener>[0]>[1],
@@ -114,6 +239,31 @@ async function handleTabUpdate(
   }
 }
 
+/**
+ * Refreshes the badge when a page loads or changes its own URL, and cleans that
+ * URL in place when auto-clean is on. declarativeNetRequest never sees URLs a
+ * page sets itself, and its rules only take exact parameter names - glob and
+ * regex rules (utm_*, hsa_*, Matomo's pk_/mtm_) are left in loaded pages.
+ * @param details - Tab, frame and new URL of the navigation
+ */
+async function handlePageUrlChange(details: { tabId: number; frameId: number; url: string }) {
+  // Frames don't change the address bar
+  if (details.frameId !== 0) {
+    return;
+  }
+
+  try {
+    const settings = await getSettings();
+    const cleanedUrl = settings.autoClean
+      ? await cleanTabInPlace(details.tabId, details.url, toCleanUrlOptions(settings))
+      : null;
+
+    await updateTabBadge(details.tabId, cleanedUrl ?? details.url);
+  } catch (error) {
+    console.error('Error handling page URL change:', error);
+  }
+}
+
 async function handleTabActivation(activeInfo: Parameters<Parameters<typeof chrome.tabs.onActivated.addListener>[0]>[0]) {
   try {
     const tab = await chrome.tabs.get(activeInfo.tabId);
@@ -130,14 +280,16 @@ async function handleActionClick(tab: chrome.tabs.Tab) {
   console.log('Action clicked, attempting direct URL cleaning');
 
   if (tab.url && tab.id) {
-    const result = cleanUrl(tab.url);
+    const settings = await getSettings();
+    const result = cleanUrl(tab.url, toCleanUrlOptions(settings));
 
     if (result.success && result.hasChanges && result.cleanedUrl) {
       try {
-        await chrome.tabs.update(tab.id, { url: result.cleanedUrl });
+        await applyCleanUrlToTab(tab.id, tab.url, result.cleanedUrl, settings.inPlace);
         showNotification(
           'URL Cleaned!',
-          `Removed ${result.removedCount} tracking parameters`
+          describeCleaning(result),
+          { tabId: tab.id, originalUrl: tab.url, cleanedUrl: result.cleanedUrl, title: tab.title }
         );
       } catch (error) {
         console.error('Error applying cleaned URL:', error);
@@ -157,10 +309,49 @@ async function handleContextMenuClick(
 ) {
   console.log('Context menu clicked:', info.menuItemId, 'tab:', tab?.id, 'linkUrl:', info.linkUrl);
 
-  // Handle "Clean this link" - opens cleaned URL in NEW tab
-  if (info.menuItemId === 'clean-link-url' && info.linkUrl) {
-    await cleanUrlFromContextWithNavigate(info.linkUrl);
-    return;
+  switch (info.menuItemId) {
+    // "Open clean link in new tab"
+    case 'clean-link-url':
+      if (info.linkUrl) {
+        await cleanUrlFromContextWithNavigate(info.linkUrl);
+      }
+      return;
+
+    case 'open-clean-link-here':
+      if (info.linkUrl && tab?.id) {
+        await openCleanLink(info.linkUrl, { tabId: tab.id });
+      }
+      return;
+
+    case 'open-clean-link-incognito':
+      if (info.linkUrl) {
+        await openCleanLink(info.linkUrl, { incognito: true });
+      }
+      return;
+
+    case 'copy-clean-link':
+      if (info.linkUrl) {
+        await copyCleanLink(info.linkUrl, 'plain', await getLinkText(info, tab));
+      }
+      return;
+
+    case 'copy-clean-link-markdown':
+      if (info.linkUrl) {
+        await copyCleanLink(info.linkUrl, 'markdown', await getLinkText(info, tab));
+      }
+      return;
+
+    case 'copy-clean-media-url':
+      if (info.srcUrl) {
+        await copyCleanLink(info.srcUrl, 'plain');
+      }
+      return;
+
+    case 'clean-selection':
+      if (info.selectionText) {
+        await copyCleanSelection(info.selectionText);
+      }
+      return;
   }
 
   // Handle "Open with cleaned URL" - updates current tab
@@ -191,38 +382,300 @@ async function handleContextMenuClick(
   console.log('No URL to clean or unrecognized menu item');
 }
 
-async function cleanUrlFromContext(url: string, tab: chrome.tabs.Tab) {
-  const result = cleanUrl(url);
+/**
+ * Reads the text of the right-clicked link from the page (activeTab is granted by the click)
+ * @param info - Context menu click data
+ * @param tab - Tab the link is in
+ * @returns Link text, the selected text, or undefined if neither is available
+ */
+async function getLinkText(info: chrome.contextMenus.OnClickData, tab?: chrome.tabs.Tab): Promise<string | undefined> {
+  if (tab?.id && info.linkUrl) {
+    try {
+      const [injection] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [info.frameId ?? 0] },
+        func: findLinkText,
+        args: [info.linkUrl]
+      });
+      if (typeof injection?.result === 'string') {
+        return injection.result;
+      }
+    } catch (error) {
+      console.warn('Could not read link text:', error);
+    }
+  }
+
+  return info.selectionText;
+}
+
+/**
+ * Opens the cleaned form of a link in the current tab or an incognito window
+ * @param url - Link URL
+ * @param target - tabId: tab to navigate, incognito: open a new incognito window
+ */
+async function openCleanLink(url: string, target: { tabId?: number; incognito?: boolean }) {
+  const settings = await getSettings();
+  const result = cleanUrl(url, toCleanUrlOptions(settings));
+
+  // The user asked to open the link - open it even if there was nothing to clean
+  const targetUrl = result.success && result.cleanedUrl ? result.cleanedUrl : url;
+
+  try {
+    if (target.incognito) {
+      await chrome.windows.create({ url: targetUrl, incognito: true });
+    } else if (target.tabId !== undefined) {
+      await chrome.tabs.update(target.tabId, { url: targetUrl });
+    }
+  } catch (error) {
+    console.error('Error opening clean link:', error);
+    showNotification('Error', 'Failed to open clean link');
+  }
+}
+
+/**
+ * Copies the cleaned form of a link, as a plain (or rich) link or as Markdown
+ * @param url - Link or media URL
+ * @param format - 'plain' or 'markdown'
+ * @param linkText - Text of the link, used as the Markdown / rich link text
+ */
+async function copyCleanLink(url: string, format: 'plain' | 'markdown', linkText?: string) {
+  const settings = await getSettings();
+  const result = cleanUrl(url, toCleanUrlOptions(settings));
+  const cleanedUrl = result.success && result.cleanedUrl ? result.cleanedUrl : url;
+
+  const content = format === 'markdown'
+    ? { text: buildMarkdownLink(cleanedUrl, linkText) }
+    : buildClipboardContent(cleanedUrl, linkText, settings.richCopy);
+
+  try {
+    if (!await copyToClipboard(content)) {
+      throw new Error('Clipboard write was refused');
+    }
+
+    showNotification(
+      'Clean Link Copied',
+      result.hasChanges ? describeCleaning(result) : 'No tracking parameters found in this link',
+      { originalUrl: url, cleanedUrl }
+    );
+  } catch (error) {
+    console.error('Error copying clean link:', error);
+    showNotification('Error', 'Failed to copy clean link');
+  }
+}
+
+/**
+ * Copies the selected text with every URL in it cleaned
+ * @param selectionText - Text selected on the page
+ */
+async function copyCleanSelection(selectionText: string) {
+  const settings = await getSettings();
+  const result = cleanText(selectionText, toCleanUrlOptions(settings));
+
+  if (!result.hasChanges) {
+    showNotification(
+      'Clean URL',
+      result.urls.length > 0 ? 'No tracking parameters found in the selected links' : 'No links found in the selection'
+    );
+    return;
+  }
+
+  try {
+    if (!await copyToClipboard({ text: result.cleanedText })) {
+      throw new Error('Clipboard write was refused');
+    }
+
+    const cleanedLinks = result.urls.filter(({ result: urlResult }) => urlResult.hasChanges).length;
+    showNotification(
+      'Selection Copied',
+      `Cleaned ${cleanedLinks} link${cleanedLinks === 1 ? '' : 's'}, removed ${result.removedCount} tracking parameters`
+    );
+  } catch (error) {
+    console.error('Error copying clean selection:', error);
+    showNotification('Error', 'Failed to copy selection');
+  }
+}
+
+/**
+ * Cleans a tab's URL and shows the result in that tab.
+ * Shared by the "Open with cleaned URL" context menu and the keyboard commands.
+ * @param url - URL shown in the tab
+ * @param tab - Tab to clean
+ * @param options - copy: also copy the cleaned URL, notify: show a notification (both default to true)
+ * @returns True if the tab was cleaned
+ */
+async function cleanUrlFromContext(
+  url: string,
+  tab: chrome.tabs.Tab,
+  { copy = true, notify = true }: { copy?: boolean; notify?: boolean } = {}
+): Promise<boolean> {
+  const settings = await getSettings();
+  const result = cleanUrl(url, toCleanUrlOptions(settings));
 
   if (result.success && result.hasChanges && result.cleanedUrl) {
     try {
-      // Navigate to cleaned URL (primary user feedback)
+      // Show the cleaned URL in the tab (primary user feedback), in place when possible
       if (tab.id) {
-        await chrome.tabs.update(tab.id, { url: result.cleanedUrl });
+        const method = await applyCleanUrlToTab(tab.id, url, result.cleanedUrl, settings.inPlace);
+
+        // replaceState doesn't fire a "complete" update, so refresh the badge here
+        if (method === 'replaced') {
+          await updateTabBadge(tab.id, result.cleanedUrl);
+        }
       }
 
       // Also copy cleaned URL to clipboard for convenience
-      await copyToClipboard(result.cleanedUrl);
+      const copied = copy && await copyCleanUrl(result.cleanedUrl, tab.title);
 
-      showNotification(
-        'URL Cleaned!',
-        `Removed ${result.removedCount} tracking parameters`
-      );
+      if (notify) {
+        showNotification(
+          'URL Cleaned!',
+          `${describeCleaning(result)}${copied ? '. Copied to clipboard.' : ''}`,
+          { tabId: tab.id, originalUrl: url, cleanedUrl: result.cleanedUrl, title: tab.title }
+        );
+      }
+      return true;
     } catch (error) {
       console.error('Error handling context menu clean:', error);
-      showNotification(
-        'Error',
-        'Failed to clean URL'
-      );
+      if (notify) {
+        showNotification(
+          'Error',
+          'Failed to clean URL'
+        );
+      }
+      return false;
     }
-  } else {
+  }
+
+  if (notify) {
     showNotification(
       'Clean URL',
       'No tracking parameters found in this URL'
     );
   }
+  return false;
+}
+
+/**
+ * Shows the cleaned URL as the first suggestion while the user types after the keyword
+ * @param text - Text typed after "clean"
+ */
+async function handleOmniboxInput(text: string) {
+  try {
+    const settings = await getSettings();
+    chrome.omnibox.setDefaultSuggestion({
+      description: describeOmniboxInput(text, toCleanUrlOptions(settings))
+    });
+  } catch (error) {
+    console.error('Error suggesting clean URL:', error);
+  }
+}
+
+/**
+ * Opens the cleaned URL of the text typed after the keyword
+ * @param text - Text typed after "clean"
+ * @param disposition - Current tab, or a new foreground/background tab
+ */
+async function handleOmniboxEnter(text: string, disposition: `${chrome.omnibox.OnInputEnteredDisposition}`) {
+  try {
+    const settings = await getSettings();
+    const url = await openOmniboxInput(text, disposition, toCleanUrlOptions(settings));
+    if (!url) {
+      console.warn('Omnibox input is not a URL:', text);
+    }
+  } catch (error) {
+    console.error('Error opening clean URL:', error);
+  }
+}
+
+/**
+ * Runs a keyboard command (see `commands` in wxt.config.ts)
+ * @param command - Command name
+ * @param tab - Active tab when the shortcut was pressed
+ */
+async function handleCommand(command: string, tab?: chrome.tabs.Tab) {
+  let targetTab = tab;
+  if (!targetTab?.id) {
+    try {
+      [targetTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    } catch (error) {
+      console.error('Error getting active tab:', error);
+      return;
+    }
+  }
+
+  if (!targetTab) {
+    return;
+  }
+
+  switch (command) {
+    case 'clean-current-tab':
+      if (targetTab.url) {
+        await cleanUrlFromContext(targetTab.url, targetTab, { copy: false });
+      }
+      break;
+    case 'clean-and-copy-tab':
+      if (targetTab.url) {
+        await cleanUrlFromContext(targetTab.url, targetTab);
+      }
+      break;
+    case 'clean-window-tabs':
+      await cleanTabsWithReport(targetTab.windowId);
+      break;
+    case 'clean-all-tabs':
+      await cleanTabsWithReport();
+      break;
+    default:
+      console.log('Unrecognized command:', command);
+  }
+}
+
+/**
+ * Cleans every open tab and finds tabs that are duplicates once cleaned
+ * @param windowId - Only clean this window's tabs (default: all windows)
+ * @returns Report of cleaned tabs and duplicate groups, or null on failure
+ */
+async function cleanAllTabs(windowId?: number): Promise<TabCleanupReport | null> {
+  try {
+    const settings = await getSettings();
+    const report = await cleanOpenTabs({ windowId, cleanUrlOptions: toCleanUrlOptions(settings), inPlace: settings.inPlace });
+
+    // Tabs cleaned in place don't fire a "complete" update
+    await updateAllTabBadges();
+    return report;
+  } catch (error) {
+    console.error('Error cleaning all tabs:', error);
+    return null;
+  }
 }
 
+/**
+ * Cleans all tabs (from a keyboard command) and reports in a notification
+ * that offers to close the duplicates
+ * @param windowId - Only clean this window's tabs (default: all windows)
+ */
+async function cleanTabsWithReport(windowId?: number) {
+  const report = await cleanAllTabs(windowId);
+  if (!report) {
+    showNotification('Error', 'Failed to clean tabs');
+    return;
+  }
+
+  showDuplicateTabsNotification('Tabs Cleaned', describeTabCleanup(report), report.duplicates);
+}
+
+/**
+ * Closes duplicate tabs found by cleanAllTabs
+ * @param duplicates - Duplicate groups from the report
+ * @returns Number of tabs closed
+ */
+async function closeDuplicates(duplicates: DuplicateTabGroup[]): Promise<number> {
+  try {
+    const settings = await getSettings();
+    return await closeDuplicateTabs(duplicates, toCleanUrlOptions(settings));
+  } catch (error) {
+    console.error('Error closing duplicate tabs:', error);
+    return 0;
+  }
+}
 
 /**
  * Clean URL from context menu and open in a NEW tab.
@@ -231,19 +684,21 @@ async function cleanUrlFromContext(url: string, tab: chrome.tabs.Tab) {
  * @returns Promise that resolves when new tab is created
  */
 async function cleanUrlFromContextWithNavigate(url: string) {
-  const result = cleanUrl(url);
+  const settings = await getSettings();
+  const result = cleanUrl(url, toCleanUrlOptions(settings));
 
   if (result.success && result.hasChanges && result.cleanedUrl) {
     try {
       // Open cleaned URL in a new tab (expected behavior for link clicks)
-      await chrome.tabs.create({ url: result.cleanedUrl });
+      const newTab = await chrome.tabs.create({ url: result.cleanedUrl });
 
       // Also copy cleaned URL to clipboard for convenience
-      await copyToClipboard(result.cleanedUrl);
+      await copyCleanUrl(result.cleanedUrl);
 
       showNotification(
         'URL Cleaned!',
-        `Removed ${result.removedCount} tracking parameters. Opened in new tab.`
+        `${describeCleaning(result)}. Opened in new tab.`,
+        { tabId: newTab.id, originalUrl: url, cleanedUrl: result.cleanedUrl }
       );
     } catch (error) {
       console.error('Error opening cleaned URL in new tab:', error);
@@ -260,25 +715,30 @@ async function cleanUrlFromContextWithNavigate(url: string) {
   }
 }
 
+/**
+ * Shows on the toolbar icon what tracking the tab's URL has: the count (or a dot)
+ * colored by the most serious category, and the parameters in the tooltip
+ * @param tabId - Tab to update
+ * @param url - URL shown in the tab
+ */
 async function updateTabBadge(tabId: number, url: string) {
   if (!url || (!url.startsWith('http://') && !url.startsWith('https://'))) {
     // Clear badge for non-web pages
     await setBadge(tabId, '');
+    await setIconTitle(tabId, BADGE.DEFAULT_TITLE);
     return;
   }
 
   try {
-    const result = analyzeUrl(url);
+    const settings = await getSettings();
+    const badge = getBadgeState(analyzeUrl(url, toCleanUrlOptions(settings)), settings.badgeStyle);
 
-    if (result.success && result.removedCount > 0) {
-      const badgeText = result.removedCount > BADGE.MAX_COUNT ? '99+' : result.removedCount.toString();
-      await setBadge(tabId, badgeText, BADGE.TRACKING_COLOR); // Red background for tracking parameters
-    } else {
-      await setBadge(tabId, ''); // Clear badge if no tracking parameters
-    }
+    await setBadge(tabId, badge.text, badge.color);
+    await setIconTitle(tabId, badge.title);
   } catch (error) {
     console.error('Error updating tab badge:', error);
     await setBadge(tabId, '');
+    await setIconTitle(tabId, BADGE.DEFAULT_TITLE);
   }
 }
 
@@ -314,6 +774,35 @@ async function setBadge(tabId: number, text: string, backgroundColor: string = B
   }
 }
 
+/**
+ * Sets the toolbar icon tooltip of a tab
+ * @param tabId - Tab to update
+ * @param title - Tooltip text
+ */
+async function setIconTitle(tabId: number, title: string) {
+  try {
+    await chrome.action.setTitle({ title, tabId });
+  } catch (error) {
+    // The tab may have closed meanwhile
+    console.error('Error setting icon title:', error);
+  }
+}
+
+/**
+ * Builds the notification message for a cleaning result.
+ * Mentions unwrapped redirects and safe links so the user knows why the URL changed.
+ * @param result - Result returned by cleanUrl
+ * @returns Human-readable summary (e.g. "Unwrapped 1 redirect, removed 2 tracking parameters")
+ */
+function describeCleaning(result: CleanUrlResult): string {
+  const removed = `${result.removedCount} tracking parameters`;
+  const unwrapped = result.unwrappedFrom?.length ?? 0;
+
+  return unwrapped > 0
+    ? `Unwrapped ${unwrapped} redirect${unwrapped === 1 ? '' : 's'}, removed ${removed}`
+    : `Removed ${removed}`;
+}
+
 function showWelcomeNotification() {
   showNotification(
     'Clean URL Extension Installed!',
@@ -321,39 +810,66 @@ function showWelcomeNotification() {
   );
 }
 
-function showNotification(title: string, message: string) {
-  // Note: Chrome extensions need the "notifications" permission to show notifications
-  // For now, we'll just log to console. Add notifications permission to manifest if needed.
-  console.log(`Notification: ${title} - ${message}`);
+/**
+ * Runs the Undo or Copy button of a cleaning notification
+ * @param notificationId - Notification whose button was clicked
+ * @param buttonIndex - Index of the clicked button
+ */
+async function handleNotificationButton(notificationId: string, buttonIndex: number) {
+  try {
+    const found = await getNotificationAction(notificationId, buttonIndex);
+    if (!found) {
+      return;
+    }
 
-  // Uncomment below if you add "notifications" permission to manifest.json
-  /*
-  chrome.notifications.create({
-    type: 'basic',
-    iconUrl: 'icon-48.png',
-    title: title,
-    message: message
-  });
-  */
+    if (found.action === 'close-duplicates') {
+      const closedCount = await closeDuplicates(found.duplicates);
+      showNotification('Duplicate Tabs Closed', `Closed ${closedCount} duplicate tab${closedCount === 1 ? '' : 's'}`);
+    } else if (found.action === 'undo' && found.cleaning.tabId !== undefined) {
+      const { tabId, cleanedUrl, originalUrl } = found.cleaning;
+      const settings = await getSettings();
+      const method = await restoreOriginalUrl(tabId, cleanedUrl, originalUrl, settings.inPlace);
+
+      if (method === 'replaced') {
+        await updateTabBadge(tabId, originalUrl);
+      } else if (method === null) {
+        console.log('Tab has navigated away from the cleaned URL, nothing to undo');
+      }
+    } else if (found.action === 'copy') {
+      await copyCleanUrl(found.cleaning.cleanedUrl, found.cleaning.title);
+    }
+
+    chrome.notifications.clear(notificationId);
+  } catch (error) {
+    console.error('Error handling notification button:', error);
+  }
 }
 
-async function copyToClipboard(text: string) {
-  // Service workers can't directly access clipboard API
-  // We'll store it in chrome.storage for the popup to access
+/**
+ * Copies a cleaned URL to the clipboard, as a titled link too when rich copy is on
+ * @param url - Cleaned URL
+ * @param title - Title of the page the URL belongs to, if known
+ * @returns True if the URL was copied
+ */
+async function copyCleanUrl(url: string, title?: string): Promise<boolean> {
   try {
-    await chrome.storage.local.set({
-      'cleanedUrlForClipboard': text,
-      'clipboardTimestamp': Date.now()
-    });
+    const settings = await getSettings();
+    const copied = await copyToClipboard(buildClipboardContent(url, title, settings.richCopy));
+    if (!copied) {
+      console.warn('Clipboard write was refused');
+    }
+    return copied;
   } catch (error) {
-    console.error('Error storing cleaned URL:', error);
+    console.error('Error copying cleaned URL:', error);
+    return false;
   }
 }
 
 // Utility method to get tracking parameter count for a URL
-function getTrackingParamCount(url: string): number {
+async function getTrackingParamCount(url: string): Promise<number> {
   try {
-    const result = analyzeUrl(url);
+    const settings = await getSettings();
+    const result = analyzeUrl(url, toCleanUrlOptions(settings));
     return result.success ? result.removedCount : 0;
   } catch (error) {
     console.error('Error getting tracking param count:', error);
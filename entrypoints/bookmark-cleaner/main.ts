@@ -0,0 +1,268 @@
+/**
+ * Clean URL Extension - Bookmark Cleaner Page
+ * Scans bookmarks for tracking parameters, previews the changes by folder,
+ * cleans the approved ones and lists past runs that can be undone
+ */
+
+import {
+  applyBookmarkChanges,
+  getBookmarkSnapshots,
+  groupChangesByFolder,
+  scanBookmarks,
+  undoBookmarkSnapshot,
+  type BookmarkChange,
+  type BookmarkSnapshot
+} from '../../utils/bookmark-cleaner';
+import { UI } from '../../utils/config';
+import { getSettings, toCleanUrlOptions } from '../../utils/settings';
+
+class BookmarkCleanerPage {
+  changes: BookmarkChange[] = [];
+  elements: Record<string, HTMLElement> = {};
+
+  constructor() {
+    this.init();
+  }
+
+  async init() {
+    this.cacheElements();
+    this.attachEventListeners();
+    await this.showSnapshots();
+  }
+
+  cacheElements() {
+    this.elements = {
+      scanButton: document.getElementById('scan-bookmarks')!,
+      scanStatus: document.getElementById('scan-status')!,
+      previewSection: document.getElementById('preview-section')!,
+      selectAll: document.getElementById('select-all')!,
+      applyButton: document.getElementById('apply-changes')!,
+      folderList: document.getElementById('folder-list')!,
+      noSnapshots: document.getElementById('no-snapshots')!,
+      snapshotList: document.getElementById('snapshot-list')!,
+      toastContainer: document.getElementById('toast-container')!
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.scanButton.addEventListener('click', () => {
+      this.scan();
+    });
+
+    this.elements.applyButton.addEventListener('click', () => {
+      this.applySelected();
+    });
+
+    this.elements.selectAll.addEventListener('change', () => {
+      const checked = (this.elements.selectAll as HTMLInputElement).checked;
+      this.elements.folderList.querySelectorAll<HTMLInputElement>('input[type="checkbox"]').forEach((checkbox) => {
+        checkbox.checked = checked;
+      });
+      this.updateApplyButton();
+    });
+
+    this.elements.folderList.addEventListener('change', () => {
+      this.updateApplyButton();
+    });
+  }
+
+  /**
+   * Asks for bookmark access (optional permission), then lists the bookmarks that would change
+   */
+  async scan() {
+    let granted = false;
+    try {
+      granted = await chrome.permissions.request({ permissions: ['bookmarks'] });
+    } catch (error) {
+      console.error('Error requesting bookmarks permission:', error);
+    }
+
+    if (!granted) {
+      this.showToast('Cleaning bookmarks needs access to your bookmarks', 'error');
+      return;
+    }
+
+    this.elements.scanStatus.textContent = 'Scanning...';
+    try {
+      const settings = await getSettings();
+      this.changes = await scanBookmarks(toCleanUrlOptions(settings));
+      this.renderPreview();
+    } catch (error) {
+      console.error('Error scanning bookmarks:', error);
+      this.elements.scanStatus.textContent = '';
+      this.showToast('Failed to scan bookmarks', 'error');
+    }
+  }
+
+  renderPreview() {
+    const count = this.changes.length;
+    this.elements.scanStatus.textContent = count > 0
+      ? `${count} bookmark${count === 1 ? ' has' : 's have'} tracking parameters`
+      : 'Your bookmarks are already clean.';
+
+    this.elements.folderList.replaceChildren(
+      ...groupChangesByFolder(this.changes).map(group => this.createFolder(group.folder, group.changes))
+    );
+    (this.elements.selectAll as HTMLInputElement).checked = true;
+    this.elements.previewSection.style.display = count > 0 ? 'block' : 'none';
+    this.updateApplyButton();
+  }
+
+  /**
+   * Builds one folder of the preview, with a checkbox selecting all its bookmarks
+   * @param folder - Folder path
+   * @param changes - Changes of the bookmarks in the folder
+   */
+  createFolder(folder: string, changes: BookmarkChange[]): HTMLElement {
+    const section = document.createElement('div');
+    section.className = 'folder';
+
+    const title = document.createElement('label');
+    title.className = 'folder-title';
+    const folderCheckbox = document.createElement('input');
+    folderCheckbox.type = 'checkbox';
+    folderCheckbox.checked = true;
+    title.append(folderCheckbox, `${folder || 'Bookmarks'} (${changes.length})`);
+    section.append(title);
+
+    const items = changes.map(change => this.createBookmarkItem(change));
+    folderCheckbox.addEventListener('change', () => {
+      items.forEach((item) => {
+        item.querySelector('input')!.checked = folderCheckbox.checked;
+      });
+    });
+    section.append(...items);
+    return section;
+  }
+
+  /**
+   * Builds the preview of one bookmark: title, original and cleaned URL, removed parameters
+   * @param change - Proposed change
+   */
+  createBookmarkItem(change: BookmarkChange): HTMLElement {
+    const item = document.createElement('label');
+    item.className = 'bookmark-item';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.dataset.bookmarkId = change.id;
+
+    const details = document.createElement('div');
+    details.className = 'bookmark-details';
+    const lines: Array<[string, string]> = [
+      ['bookmark-title', change.title || change.cleanedUrl],
+      ['bookmark-url original', change.originalUrl],
+      ['bookmark-url cleaned', change.cleanedUrl],
+      ['bookmark-params', `Removes ${change.removedParams.map(param => param.key).join(', ')}`]
+    ];
+    details.append(...lines.map(([className, text]) => {
+      const line = document.createElement('div');
+      line.className = className;
+      line.textContent = text;
+      return line;
+    }));
+
+    item.append(checkbox, details);
+    return item;
+  }
+
+  getSelectedChanges(): BookmarkChange[] {
+    const selectedIds = new Set(
+      Array.from(this.elements.folderList.querySelectorAll<HTMLInputElement>('input[data-bookmark-id]:checked'))
+        .map(checkbox => checkbox.dataset.bookmarkId)
+    );
+    return this.changes.filter(change => selectedIds.has(change.id));
+  }
+
+  updateApplyButton() {
+    const count = this.getSelectedChanges().length;
+    const button = this.elements.applyButton as HTMLButtonElement;
+    button.disabled = count === 0;
+    button.textContent = `Clean ${count} selected bookmark${count === 1 ? '' : 's'}`;
+  }
+
+  async applySelected() {
+    const selected = this.getSelectedChanges();
+    if (selected.length === 0) {
+      return;
+    }
+
+    try {
+      const { updatedCount, failedCount } = await applyBookmarkChanges(selected);
+      this.showToast(
+        `Cleaned ${updatedCount} bookmark${updatedCount === 1 ? '' : 's'}${failedCount > 0 ? `, ${failedCount} failed` : ''}`,
+        failedCount > 0 ? 'error' : 'success'
+      );
+
+      // Show what is left to clean
+      const applied = new Set(selected.map(change => change.id));
+      this.changes = this.changes.filter(change => !applied.has(change.id));
+      this.renderPreview();
+      await this.showSnapshots();
+    } catch (error) {
+      console.error('Error cleaning bookmarks:', error);
+      this.showToast('Failed to clean bookmarks', 'error');
+    }
+  }
+
+  async showSnapshots() {
+    const snapshots = await getBookmarkSnapshots();
+    this.elements.noSnapshots.style.display = snapshots.length > 0 ? 'none' : 'block';
+    this.elements.snapshotList.replaceChildren(...snapshots.map(snapshot => this.createSnapshotItem(snapshot)));
+  }
+
+  /**
+   * Builds one entry of the undo list
+   * @param snapshot - Saved run
+   */
+  createSnapshotItem(snapshot: BookmarkSnapshot): HTMLElement {
+    const item = document.createElement('li');
+    const count = snapshot.entries.length;
+
+    const description = document.createElement('span');
+    description.textContent = `${new Date(snapshot.createdAt).toLocaleString()} - ${count} bookmark${count === 1 ? '' : 's'}`;
+
+    const undoButton = document.createElement('button');
+    undoButton.className = 'secondary-btn';
+    undoButton.textContent = 'Undo';
+    undoButton.addEventListener('click', () => {
+      this.undo(snapshot.id);
+    });
+
+    item.append(description, undoButton);
+    return item;
+  }
+
+  /**
+   * Restores the URLs of a past run
+   * @param snapshotId - Snapshot to undo
+   */
+  async undo(snapshotId: string) {
+    try {
+      const restoredCount = await undoBookmarkSnapshot(snapshotId);
+      this.showToast(`Restored ${restoredCount} bookmark${restoredCount === 1 ? '' : 's'}`, 'success');
+      await this.showSnapshots();
+    } catch (error) {
+      console.error('Error undoing bookmark cleaning:', error);
+      this.showToast('Failed to restore bookmarks', 'error');
+    }
+  }
+
+  showToast(message: string, type: 'info' | 'success' | 'error' = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+
+    this.elements.toastContainer.appendChild(toast);
+
+    setTimeout(() => {
+      toast.remove();
+    }, UI.TIMING.TOAST_DURATION);
+  }
+}
+
+// Initialize the page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new BookmarkCleanerPage();
+});
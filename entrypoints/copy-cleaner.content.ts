@@ -0,0 +1,34 @@
+/**
+ * Clean URL Extension - Copy Cleaner Content Script
+ * Cleans the URLs in text copied from any page while "Clean links when
+ * copying" is on. Registered at runtime (see utils/content-scripts.ts).
+ */
+
+// @ts-ignore - WXT global import issue
+declare const defineContentScript: any;
+import { startCopyCleaner } from '../utils/copy-cleaner';
+import { getSettings, onSettingsChanged, toCleanUrlOptions, type Settings } from '../utils/settings';
+
+export default defineContentScript({
+  registration: 'runtime',
+  main: async () => {
+    // The popup also injects this script right after cleaning on copy is turned on
+    const globals = globalThis as typeof globalThis & { cleanUrlCopyCleaner?: boolean };
+    if (globals.cleanUrlCopyCleaner) {
+      return;
+    }
+    globals.cleanUrlCopyCleaner = true;
+
+    let stopCopyCleaner: (() => void) | null = null;
+
+    const applySettings = (settings: Settings) => {
+      stopCopyCleaner?.();
+      stopCopyCleaner = settings.cleanOnCopy
+        ? startCopyCleaner(document, toCleanUrlOptions(settings))
+        : null;
+    };
+
+    applySettings(await getSettings());
+    onSettingsChanged(applySettings);
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * Clean URL Extension - Link Cleaner Content Script
+ * Rewrites tracked links on sites where the user turned link cleaning on.
+ * Registered at runtime for those sites only (see utils/content-scripts.ts).
+ */
+
+// @ts-ignore - WXT global import issue
+declare const defineContentScript: any;
+import { startLinkCleaner } from '../utils/link-cleaner';
+import { getSettings, onSettingsChanged, toCleanUrlOptions, type Settings } from '../utils/settings';
+
+export default defineContentScript({
+  registration: 'runtime',
+  main: async () => {
+    // The popup also injects this script right after a site is enabled
+    const globals = globalThis as typeof globalThis & { cleanUrlLinkCleaner?: boolean };
+    if (globals.cleanUrlLinkCleaner) {
+      return;
+    }
+    globals.cleanUrlLinkCleaner = true;
+
+    let stopLinkCleaner: (() => void) | null = null;
+
+    const applySettings = (settings: Settings) => {
+      stopLinkCleaner?.();
+      stopLinkCleaner = null;
+
+      const site = settings.linkCleaningSites[location.hostname];
+      if (site) {
+        stopLinkCleaner = startLinkCleaner(document, {
+          cleanUrlOptions: toCleanUrlOptions(settings),
+          skipSameOrigin: site.skipSameOrigin
+        });
+      }
+    };
+
+    applySettings(await getSettings());
+    onSettingsChanged(applySettings);
+  }
+});
@@ -0,0 +1,22 @@
+/**
+ * Clean URL Extension - Offscreen Document
+ * Writes to the clipboard on behalf of the background service worker,
+ * which has no DOM (see utils/clipboard.ts)
+ */
+
+import { writeClipboardContent, OFFSCREEN_TARGET, type OffscreenClipboardMessage } from '../../utils/clipboard';
+
+chrome.runtime.onMessage.addListener((message: OffscreenClipboardMessage, _sender, sendResponse) => {
+  // Messages for the background also reach this document
+  if (message?.target !== OFFSCREEN_TARGET || message.action !== 'writeClipboard') {
+    return false;
+  }
+
+  try {
+    sendResponse({ success: writeClipboardContent(document, message.content) });
+  } catch (error) {
+    console.error('Error writing to clipboard:', error);
+    sendResponse({ success: false });
+  }
+  return false;
+});
@@ -3,8 +3,14 @@
  * Handles user interactions and URL cleaning functionality
  */
 
-import { analyzeUrl, type AnalyzeUrlResult } from '../../utils/clean-url-logic';
+import { analyzeUrl, type AnalyzeUrlResult, type CanonicalChange, type RemovedParam } from '../../utils/clean-url-logic';
+import { buildClipboardContent, writeClipboardContent } from '../../utils/clipboard';
 import { UI, URLS } from '../../utils/config';
+import { ALL_SITES_PATTERN, COPY_CLEANER_SCRIPT, LINK_CLEANER_SCRIPT, siteMatchPattern } from '../../utils/content-scripts';
+import type { UnwrapStep } from '../../utils/redirect-unwrap';
+import { DEFAULT_SETTINGS, getSettings, toCleanUrlOptions, updateSettings, type Settings } from '../../utils/settings';
+import { applyCleanUrlToTab } from '../../utils/tab-clean';
+import { describeTabCleanup, type TabCleanupReport } from '../../utils/tab-cleanup';
 
 // Get extension version from manifest (single source of truth)
 const manifest = chrome.runtime.getManifest();
@@ -13,6 +19,8 @@ const APP_VERSION = manifest.version;
 class CleanUrlPopup {
   currentTab: chrome.tabs.Tab | null = null;
   cleaningResult: AnalyzeUrlResult | null = null;
+  settings: Settings = DEFAULT_SETTINGS;
+  tabCleanupReport: TabCleanupReport | null = null;
   elements: Record<string, HTMLElement> = {};
 
   constructor() {
@@ -23,6 +31,7 @@ class CleanUrlPopup {
     this.cacheElements();
     this.attachEventListeners();
     this.setVersion();
+    await this.loadSettings();
     await this.loadCurrentTab();
   }
 
@@ -47,6 +56,8 @@ class CleanUrlPopup {
       noChangesState: document.getElementById('no-changes-state')!,
       errorState: document.getElementById('error-state')!,
       removedCount: document.getElementById('removed-count')!,
+      unwrappedInfo: document.getElementById('unwrapped-info')!,
+      canonicalInfo: document.getElementById('canonical-info')!,
       cleanedUrl: document.getElementById('cleaned-url')!,
       copyCleaned: document.getElementById('copy-cleaned')!,
       applyCleanUrl: document.getElementById('apply-clean-url')!,
@@ -55,7 +66,25 @@ class CleanUrlPopup {
       errorMessage: document.getElementById('error-message')!,
       statsSection: document.getElementById('stats-section')!,
       statsGrid: document.getElementById('stats-grid')!,
+      profileSelect: document.getElementById('profile-select')!,
+      losslessToggle: document.getElementById('lossless-toggle')!,
+      canonicalizeToggle: document.getElementById('canonicalize-toggle')!,
+      autoCleanToggle: document.getElementById('auto-clean-toggle')!,
+      inPlaceToggle: document.getElementById('in-place-toggle')!,
+      cleanOnCopyToggle: document.getElementById('clean-on-copy-toggle')!,
+      notificationsToggle: document.getElementById('notifications-toggle')!,
+      badgeDotToggle: document.getElementById('badge-dot-toggle')!,
+      richCopyToggle: document.getElementById('rich-copy-toggle')!,
+      cleanAllTabs: document.getElementById('clean-all-tabs')!,
+      tabsReport: document.getElementById('tabs-report')!,
+      closeDuplicates: document.getElementById('close-duplicates')!,
+      siteSection: document.getElementById('site-section')!,
+      siteHost: document.getElementById('site-host')!,
+      linkCleaningToggle: document.getElementById('link-cleaning-toggle')!,
+      skipSameOriginToggle: document.getElementById('skip-same-origin-toggle')!,
       toastContainer: document.getElementById('toast-container')!,
+      bookmarksLink: document.getElementById('bookmarks-link')!,
+      reportLink: document.getElementById('report-link')!,
       privacyLink: document.getElementById('privacy-link')!,
       helpLink: document.getElementById('help-link')!
     };
@@ -68,7 +97,7 @@ class CleanUrlPopup {
     });
 
     this.elements.copyCleaned.addEventListener('click', () => {
-      this.copyToClipboard(this.cleaningResult?.cleanedUrl || '', 'Cleaned URL copied!');
+      this.copyToClipboard(this.cleaningResult?.cleanedUrl || '', 'Cleaned URL copied!', this.currentTab?.title);
     });
 
     // Apply cleaned URL button
@@ -76,7 +105,72 @@ class CleanUrlPopup {
       this.applyCleanedUrl();
     });
 
+    // Cleaning profile
+    this.elements.profileSelect.addEventListener('change', () => {
+      this.changeProfile((this.elements.profileSelect as HTMLSelectElement).value as Settings['profile']);
+    });
+
+    this.elements.losslessToggle.addEventListener('change', () => {
+      this.changeSettings({ lossless: (this.elements.losslessToggle as HTMLInputElement).checked });
+    });
+
+    this.elements.canonicalizeToggle.addEventListener('change', () => {
+      this.changeSettings({ canonicalize: (this.elements.canonicalizeToggle as HTMLInputElement).checked });
+    });
+
+    this.elements.autoCleanToggle.addEventListener('change', () => {
+      this.changeAutoClean((this.elements.autoCleanToggle as HTMLInputElement).checked);
+    });
+
+    this.elements.inPlaceToggle.addEventListener('change', () => {
+      this.changeSettings({ inPlace: (this.elements.inPlaceToggle as HTMLInputElement).checked });
+    });
+
+    this.elements.cleanOnCopyToggle.addEventListener('change', () => {
+      this.changeCleanOnCopy((this.elements.cleanOnCopyToggle as HTMLInputElement).checked);
+    });
+
+    this.elements.notificationsToggle.addEventListener('change', () => {
+      this.changeSettings({ notifications: (this.elements.notificationsToggle as HTMLInputElement).checked });
+    });
+
+    this.elements.badgeDotToggle.addEventListener('change', () => {
+      this.changeSettings({ badgeStyle: (this.elements.badgeDotToggle as HTMLInputElement).checked ? 'dot' : 'count' });
+    });
+
+    this.elements.richCopyToggle.addEventListener('change', () => {
+      this.changeSettings({ richCopy: (this.elements.richCopyToggle as HTMLInputElement).checked });
+    });
+
+    // Per-site link cleaning
+    this.elements.linkCleaningToggle.addEventListener('change', () => {
+      this.changeLinkCleaning((this.elements.linkCleaningToggle as HTMLInputElement).checked);
+    });
+
+    this.elements.skipSameOriginToggle.addEventListener('change', () => {
+      this.changeSkipSameOrigin((this.elements.skipSameOriginToggle as HTMLInputElement).checked);
+    });
+
+    // All tabs
+    this.elements.cleanAllTabs.addEventListener('click', () => {
+      this.cleanAllTabs();
+    });
+
+    this.elements.closeDuplicates.addEventListener('click', () => {
+      this.closeDuplicateTabs();
+    });
+
     // Footer links
+    this.elements.bookmarksLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openBookmarkCleaner();
+    });
+
+    this.elements.reportLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openPrivacyReport();
+    });
+
     this.elements.privacyLink.addEventListener('click', (e) => {
       e.preventDefault();
       this.openPrivacyPolicy();
@@ -88,6 +182,193 @@ class CleanUrlPopup {
     });
   }
 
+  async loadSettings() {
+    this.settings = await getSettings();
+    (this.elements.profileSelect as HTMLSelectElement).value = this.settings.profile;
+    (this.elements.losslessToggle as HTMLInputElement).checked = this.settings.lossless;
+    (this.elements.canonicalizeToggle as HTMLInputElement).checked = this.settings.canonicalize;
+    (this.elements.autoCleanToggle as HTMLInputElement).checked = this.settings.autoClean;
+    (this.elements.inPlaceToggle as HTMLInputElement).checked = this.settings.inPlace;
+    (this.elements.cleanOnCopyToggle as HTMLInputElement).checked = this.settings.cleanOnCopy;
+    (this.elements.notificationsToggle as HTMLInputElement).checked = this.settings.notifications;
+    (this.elements.badgeDotToggle as HTMLInputElement).checked = this.settings.badgeStyle === 'dot';
+    (this.elements.richCopyToggle as HTMLInputElement).checked = this.settings.richCopy;
+  }
+
+  /**
+   * Turns auto-clean on or off. Turning it on asks for access to all sites,
+   * which declarativeNetRequest needs to rewrite navigations.
+   * @param enabled - New toggle state
+   */
+  async changeAutoClean(enabled: boolean) {
+    if (enabled && !await this.requestHostAccess(ALL_SITES_PATTERN, this.elements.autoCleanToggle, 'Auto-clean needs access to all sites')) {
+      return;
+    }
+
+    await this.changeSettings({ autoClean: enabled });
+  }
+
+  /**
+   * Turns cleaning URLs in copied text on or off. Turning it on asks for access
+   * to all sites, where the copy cleaner then runs, and starts it on the open page.
+   * @param enabled - New toggle state
+   */
+  async changeCleanOnCopy(enabled: boolean) {
+    if (enabled && !await this.requestHostAccess(ALL_SITES_PATTERN, this.elements.cleanOnCopyToggle, 'Cleaning on copy needs access to all sites')) {
+      return;
+    }
+
+    await this.changeSettings({ cleanOnCopy: enabled });
+
+    if (enabled) {
+      await this.injectIntoCurrentTab(COPY_CLEANER_SCRIPT.FILE, true);
+    }
+  }
+
+  /**
+   * Asks for access to some sites, unchecking the toggle that needed it if refused
+   * @param origin - Match pattern to request
+   * @param toggle - Checkbox that asked for the access
+   * @param message - Error toast shown when access is refused
+   * @returns True if access was granted
+   */
+  async requestHostAccess(origin: string, toggle: HTMLElement, message: string): Promise<boolean> {
+    let granted = false;
+    try {
+      granted = await chrome.permissions.request({ origins: [origin] });
+    } catch (error) {
+      console.error('Error requesting host permissions:', error);
+    }
+
+    if (!granted) {
+      (toggle as HTMLInputElement).checked = false;
+      this.showToast(message, 'error');
+    }
+    return granted;
+  }
+
+  /**
+   * Runs a content script on the open page - registered scripts only run on the next page load
+   * @param file - Built content script file
+   * @param allFrames - Also run in the page's frames
+   */
+  async injectIntoCurrentTab(file: string, allFrames: boolean = false) {
+    if (!this.currentTab?.id) {
+      return;
+    }
+
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: this.currentTab.id, allFrames },
+        files: [file]
+      });
+    } catch (error) {
+      console.error('Error starting content script on this page:', error);
+    }
+  }
+
+  /**
+   * Saves the chosen cleaning profile and re-analyzes the current tab with it
+   * @param profile - Profile selected by the user
+   */
+  async changeProfile(profile: Settings['profile']) {
+    await this.changeSettings({ profile });
+  }
+
+  /**
+   * Saves changed settings and re-analyzes the current tab with them
+   * @param changes - Settings changed by the user
+   */
+  async changeSettings(changes: Partial<Settings>) {
+    try {
+      this.settings = await updateSettings(changes);
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      this.showToast('Failed to save settings', 'error');
+      return;
+    }
+
+    if (this.currentTab?.url) {
+      this.analyzeUrl(this.currentTab.url);
+    }
+  }
+
+  /**
+   * Gets the hostname of the current tab if it is a web page
+   * @returns Hostname or null for chrome://, file:// and similar pages
+   */
+  getCurrentHost(): string | null {
+    try {
+      const url = new URL(this.currentTab?.url ?? '');
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.hostname : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Shows the per-site options for the current tab's host
+   */
+  showSiteOptions() {
+    const host = this.getCurrentHost();
+    if (!host) {
+      this.elements.siteSection.style.display = 'none';
+      return;
+    }
+
+    const site = this.settings.linkCleaningSites[host];
+    this.elements.siteHost.textContent = host;
+    (this.elements.linkCleaningToggle as HTMLInputElement).checked = Boolean(site);
+    (this.elements.skipSameOriginToggle as HTMLInputElement).checked = site?.skipSameOrigin ?? false;
+    (this.elements.skipSameOriginToggle as HTMLInputElement).disabled = !site;
+    this.elements.siteSection.style.display = 'block';
+  }
+
+  /**
+   * Turns link cleaning on or off for the current site. Turning it on asks for
+   * access to the site and starts cleaning the open page right away.
+   * @param enabled - New toggle state
+   */
+  async changeLinkCleaning(enabled: boolean) {
+    const host = this.getCurrentHost();
+    if (!host) {
+      return;
+    }
+
+    if (enabled && !await this.requestHostAccess(siteMatchPattern(host), this.elements.linkCleaningToggle, 'Link cleaning needs access to this site')) {
+      return;
+    }
+
+    const linkCleaningSites = { ...this.settings.linkCleaningSites };
+    if (enabled) {
+      linkCleaningSites[host] = { skipSameOrigin: false };
+    } else {
+      delete linkCleaningSites[host];
+    }
+
+    await this.changeSettings({ linkCleaningSites });
+    this.showSiteOptions();
+
+    if (enabled) {
+      await this.injectIntoCurrentTab(LINK_CLEANER_SCRIPT.FILE);
+    }
+  }
+
+  /**
+   * Sets whether links within the current site are left alone
+   * @param skipSameOrigin - New toggle state
+   */
+  async changeSkipSameOrigin(skipSameOrigin: boolean) {
+    const host = this.getCurrentHost();
+    if (!host || !this.settings.linkCleaningSites[host]) {
+      return;
+    }
+
+    await this.changeSettings({
+      linkCleaningSites: { ...this.settings.linkCleaningSites, [host]: { skipSameOrigin } }
+    });
+  }
+
   async loadCurrentTab() {
     try {
       // Get the current active tab
@@ -99,6 +380,7 @@ class CleanUrlPopup {
       }
 
       this.currentTab = tab;
+      this.showSiteOptions();
       this.analyzeUrl(tab.url);
       
     } catch (error) {
@@ -110,7 +392,7 @@ class CleanUrlPopup {
   analyzeUrl(url: string) {
     try {
       // Use the URL cleaning logic (now using standard ES module import)
-      this.cleaningResult = analyzeUrl(url);
+      this.cleaningResult = analyzeUrl(url, toCleanUrlOptions(this.settings));
 
       this.hideLoading();
       this.displayResults();
@@ -156,6 +438,10 @@ class CleanUrlPopup {
       : `${result.removedCount} tracking parameters removed`;
     this.elements.removedCount.textContent = countText;
 
+    // Explain which redirect wrappers were skipped
+    this.showUnwrappedFrom(result.unwrappedFrom ?? []);
+    this.showCanonicalized(result.canonicalized ?? null);
+
     // Show cleaned URL
     this.elements.cleanedUrl.textContent = this.truncate(result.cleanedUrl ?? '', UI.TRUNCATE.URL_MAX_LENGTH, 'url');
 
@@ -173,7 +459,29 @@ class CleanUrlPopup {
     this.elements.errorState.style.display = 'none';
   }
 
+  showUnwrappedFrom(unwrappedFrom: UnwrapStep[]) {
+    if (unwrappedFrom.length === 0) {
+      this.elements.unwrappedInfo.style.display = 'none';
+      return;
+    }
+
+    const hosts = unwrappedFrom.map(step => new URL(step.url).hostname);
+    this.elements.unwrappedInfo.textContent = `Unwrapped redirect: ${hosts.join(' → ')}`;
+    this.elements.unwrappedInfo.style.display = 'block';
+  }
+
+  showCanonicalized(canonicalized: CanonicalChange | null) {
+    if (!canonicalized) {
+      this.elements.canonicalInfo.style.display = 'none';
+      return;
+    }
+
+    this.elements.canonicalInfo.textContent = 'Shortened to canonical product URL';
+    this.elements.canonicalInfo.style.display = 'block';
+  }
+
   showNoChangesState() {
+    this.elements.statsSection.style.display = 'none';
     this.elements.successState.style.display = 'none';
     this.elements.noChangesState.style.display = 'block';
     this.elements.errorState.style.display = 'none';
@@ -187,15 +495,18 @@ class CleanUrlPopup {
     this.elements.errorState.style.display = 'block';
   }
 
-  populateRemovedParams(removedParams: Array<{ key: string; value: string }>) {
+  populateRemovedParams(removedParams: RemovedParam[]) {
     if (!removedParams || removedParams.length === 0) {
       this.elements.removedParamsDetails.style.display = 'none';
       return;
     }
 
     const listHtml = removedParams.map(param => `
-      <div class="param-item">
-        <span class="param-key">${this.escapeHtml(param.key)}</span>
+      <div class="param-item" title="${this.escapeHtml(`${param.vendor} · ${param.confidence} confidence`)}">
+        <div class="param-info">
+          <span class="param-key">${this.escapeHtml(param.key)}</span>
+          <span class="param-description">${this.escapeHtml(param.description)}</span>
+        </div>
         <span class="param-value">${this.escapeHtml(this.truncate(param.value, UI.TRUNCATE.PARAM_VALUE_MAX_LENGTH, 'text'))}</span>
       </div>
     `).join('');
@@ -240,12 +551,15 @@ class CleanUrlPopup {
     }
 
     try {
-      // Navigate to the cleaned URL
-      await chrome.tabs.update(this.currentTab.id, {
-        url: this.cleaningResult.cleanedUrl
-      });
+      // Clean the address bar in place when possible, otherwise navigate
+      const method = await applyCleanUrlToTab(
+        this.currentTab.id,
+        this.currentTab.url ?? '',
+        this.cleaningResult.cleanedUrl,
+        this.settings.inPlace
+      );
 
-      this.showToast('Applied cleaned URL!', 'success');
+      this.showToast(method === 'replaced' ? 'Cleaned without reloading!' : 'Applied cleaned URL!', 'success');
 
       // Close the popup after a short delay
       setTimeout(() => {
@@ -258,7 +572,85 @@ class CleanUrlPopup {
     }
   }
 
-  async copyToClipboard(text: string, successMessage: string = 'Copied to clipboard!') {
+  /**
+   * Cleans every open tab in the background and shows the report,
+   * offering to close tabs that turned out to be duplicates.
+   * Asks for access to all sites first, so background tabs can be cleaned
+   * without reloading them; if refused, they're reloaded with the cleaned URL.
+   */
+  async cleanAllTabs() {
+    const button = this.elements.cleanAllTabs as HTMLButtonElement;
+    button.disabled = true;
+    this.elements.closeDuplicates.style.display = 'none';
+
+    try {
+      // Must be asked while handling the click
+      await chrome.permissions.request({ origins: [ALL_SITES_PATTERN] });
+    } catch (error) {
+      console.error('Error requesting host permissions:', error);
+    }
+
+    try {
+      const report = await chrome.runtime.sendMessage({ action: 'cleanAllTabs' }) as TabCleanupReport | null;
+      if (!report) {
+        this.showToast('Failed to clean tabs', 'error');
+        return;
+      }
+
+      this.tabCleanupReport = report;
+      this.elements.tabsReport.textContent = describeTabCleanup(report);
+      this.elements.tabsReport.style.display = 'block';
+
+      if (report.duplicateCount > 0) {
+        this.elements.closeDuplicates.textContent = `Close ${report.duplicateCount} duplicate tab${report.duplicateCount === 1 ? '' : 's'}`;
+        this.elements.closeDuplicates.style.display = 'block';
+      }
+
+      // The current tab may have been cleaned too
+      await this.loadCurrentTab();
+    } catch (error) {
+      console.error('Error cleaning all tabs:', error);
+      this.showToast('Failed to clean tabs', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Closes the duplicate tabs found by the last "Clean all open tabs"
+   */
+  async closeDuplicateTabs() {
+    if (!this.tabCleanupReport) {
+      return;
+    }
+
+    try {
+      const { closedCount } = await chrome.runtime.sendMessage({
+        action: 'closeDuplicateTabs',
+        duplicates: this.tabCleanupReport.duplicates
+      }) as { closedCount: number };
+
+      this.tabCleanupReport = null;
+      this.elements.closeDuplicates.style.display = 'none';
+      this.elements.tabsReport.textContent += ` - merged ${closedCount} tab${closedCount === 1 ? '' : 's'}`;
+    } catch (error) {
+      console.error('Error closing duplicate tabs:', error);
+      this.showToast('Failed to close duplicate tabs', 'error');
+    }
+  }
+
+  /**
+   * Copies text to the clipboard
+   * @param text - Text to copy
+   * @param successMessage - Toast shown after copying
+   * @param title - Page title; with rich copy on, the URL is also copied as a link with this text
+   */
+  async copyToClipboard(text: string, successMessage: string = 'Copied to clipboard!', title?: string) {
+    if (title && this.settings.richCopy && writeClipboardContent(document, buildClipboardContent(text, title, true))) {
+      this.showToast(successMessage, 'success');
+      return;
+    }
+
     try {
       await navigator.clipboard.writeText(text);
       this.showToast(successMessage, 'success');
@@ -319,6 +711,18 @@ class CleanUrlPopup {
     return div.innerHTML;
   }
 
+  openBookmarkCleaner() {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL('bookmark-cleaner.html')
+    });
+  }
+
+  openPrivacyReport() {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL('privacy-report.html')
+    });
+  }
+
   openPrivacyPolicy() {
     chrome.tabs.create({
       url: URLS.PRIVACY_POLICY
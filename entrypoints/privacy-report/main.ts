@@ -0,0 +1,270 @@
+/**
+ * Clean URL Extension - Privacy Report Page
+ * Scans the browsing history of a date range, shows which vendors tracked
+ * the user on which sites, and deletes or rewrites the tracked entries
+ */
+
+import { UI } from '../../utils/config';
+import {
+  deleteHistoryEntries,
+  rewriteHistoryEntries,
+  scanHistory,
+  type HistoryReport
+} from '../../utils/history-report';
+import { getSettings, toCleanUrlOptions } from '../../utils/settings';
+
+/** Days scanned when the page opens */
+const DEFAULT_RANGE_DAYS = 30;
+
+/** Vendors and sites listed in the rankings */
+const RANKING_LENGTH = 10;
+
+const CATEGORY_LABELS: Record<keyof HistoryReport['categories'], string> = {
+  utm: 'UTM',
+  social: 'Social',
+  ads: 'Ads',
+  affiliate: 'Affiliate',
+  email: 'Email',
+  analytics: 'Analytics'
+};
+
+/**
+ * Formats a date for an `<input type="date">`, in local time
+ * @param date - Date to format
+ * @returns Date as "YYYY-MM-DD"
+ */
+function toDateInputValue(date: Date): string {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Adds "s" to a word unless the count is one
+ * @param count - Number of things
+ * @param word - Singular word
+ */
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+class PrivacyReportPage {
+  report: HistoryReport | null = null;
+  elements: Record<string, HTMLElement> = {};
+
+  constructor() {
+    this.init();
+  }
+
+  init() {
+    this.cacheElements();
+    this.attachEventListeners();
+
+    const today = new Date();
+    const start = new Date(today);
+    start.setDate(today.getDate() - DEFAULT_RANGE_DAYS);
+    (this.elements.startDate as HTMLInputElement).value = toDateInputValue(start);
+    (this.elements.endDate as HTMLInputElement).value = toDateInputValue(today);
+  }
+
+  cacheElements() {
+    this.elements = {
+      startDate: document.getElementById('start-date')!,
+      endDate: document.getElementById('end-date')!,
+      scanButton: document.getElementById('scan-history')!,
+      scanStatus: document.getElementById('scan-status')!,
+      reportSection: document.getElementById('report-section')!,
+      categoryGrid: document.getElementById('category-grid')!,
+      vendorList: document.getElementById('vendor-list')!,
+      domainList: document.getElementById('domain-list')!,
+      rewriteButton: document.getElementById('rewrite-entries')!,
+      deleteButton: document.getElementById('delete-entries')!,
+      toastContainer: document.getElementById('toast-container')!
+    };
+  }
+
+  attachEventListeners() {
+    this.elements.scanButton.addEventListener('click', () => {
+      this.scan();
+    });
+
+    this.elements.rewriteButton.addEventListener('click', () => {
+      this.cleanUpHistory('rewrite');
+    });
+
+    this.elements.deleteButton.addEventListener('click', () => {
+      this.cleanUpHistory('delete');
+    });
+  }
+
+  /**
+   * Reads the picked dates as a range covering both days completely
+   * @returns Range in milliseconds, or null if the dates are missing or reversed
+   */
+  getRange(): { startTime: number; endTime: number } | null {
+    const startValue = (this.elements.startDate as HTMLInputElement).value;
+    const endValue = (this.elements.endDate as HTMLInputElement).value;
+    if (!startValue || !endValue) {
+      return null;
+    }
+
+    const startTime = new Date(`${startValue}T00:00:00`).getTime();
+    const end = new Date(`${endValue}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+
+    return startTime < end.getTime() ? { startTime, endTime: end.getTime() } : null;
+  }
+
+  /**
+   * Asks for history access (optional permission), then builds the report
+   */
+  async scan() {
+    const range = this.getRange();
+    if (!range) {
+      this.showToast('Pick a start date before the end date', 'error');
+      return;
+    }
+
+    let granted = false;
+    try {
+      granted = await chrome.permissions.request({ permissions: ['history'] });
+    } catch (error) {
+      console.error('Error requesting history permission:', error);
+    }
+
+    if (!granted) {
+      this.showToast('The privacy report needs access to your browsing history', 'error');
+      return;
+    }
+
+    this.elements.scanStatus.textContent = 'Scanning...';
+    try {
+      const settings = await getSettings();
+      this.report = await scanHistory(range, toCleanUrlOptions(settings));
+      this.renderReport();
+    } catch (error) {
+      console.error('Error scanning history:', error);
+      this.elements.scanStatus.textContent = '';
+      this.showToast('Failed to scan history', 'error');
+    }
+  }
+
+  renderReport() {
+    if (!this.report) {
+      return;
+    }
+
+    const { scannedCount, trackedCount, truncated } = this.report;
+    this.elements.scanStatus.textContent =
+      `${plural(trackedCount, 'page')} of ${scannedCount} had tracking parameters` +
+      (truncated ? ' (only the most recent pages were scanned - pick a shorter range to see all)' : '');
+
+    this.renderCategories();
+    this.elements.vendorList.replaceChildren(...this.report.vendors.slice(0, RANKING_LENGTH).map(vendor =>
+      this.createRankingItem(
+        vendor.vendor,
+        `${plural(vendor.pageCount, 'page')} - ${vendor.domains.slice(0, 3).map(domain => domain.name).join(', ')}`
+      )
+    ));
+    this.elements.domainList.replaceChildren(...this.report.domains.slice(0, RANKING_LENGTH).map(domain =>
+      this.createRankingItem(domain.domain, `${plural(domain.pageCount, 'page')} - ${domain.vendors.join(', ')}`)
+    ));
+
+    (this.elements.rewriteButton as HTMLButtonElement).disabled = trackedCount === 0;
+    (this.elements.deleteButton as HTMLButtonElement).disabled = trackedCount === 0;
+    this.elements.reportSection.style.display = trackedCount > 0 ? 'block' : 'none';
+  }
+
+  renderCategories() {
+    const categories = this.report!.categories;
+    this.elements.categoryGrid.replaceChildren(
+      ...(Object.keys(CATEGORY_LABELS) as Array<keyof HistoryReport['categories']>).map((category) => {
+        const item = document.createElement('div');
+        item.className = 'stat-item';
+
+        const count = document.createElement('span');
+        count.className = 'stat-count';
+        count.textContent = String(categories[category]);
+
+        const label = document.createElement('span');
+        label.className = 'stat-label';
+        label.textContent = CATEGORY_LABELS[category];
+
+        item.append(count, label);
+        return item;
+      })
+    );
+  }
+
+  /**
+   * Builds one line of a ranking
+   * @param name - Vendor or site
+   * @param details - Counts and related names
+   */
+  createRankingItem(name: string, details: string): HTMLElement {
+    const item = document.createElement('li');
+
+    const nameElement = document.createElement('div');
+    nameElement.className = 'ranking-name';
+    nameElement.textContent = name;
+
+    const detailsElement = document.createElement('div');
+    detailsElement.className = 'ranking-details';
+    detailsElement.textContent = details;
+
+    item.append(nameElement, detailsElement);
+    return item;
+  }
+
+  /**
+   * Deletes the tracked entries of the report, or replaces them with their cleaned URLs
+   * @param mode - 'delete' or 'rewrite'
+   */
+  async cleanUpHistory(mode: 'delete' | 'rewrite') {
+    const entries = this.report?.entries ?? [];
+    if (entries.length === 0) {
+      return;
+    }
+
+    // chrome.history.deleteUrl can't be limited to a date range
+    const question = (mode === 'delete'
+      ? `Delete ${plural(entries.length, 'tracked page')} from your history?`
+      : `Replace ${plural(entries.length, 'tracked page')} in your history with clean URLs?`) +
+      '\n\nAll visits to these pages are removed, including visits outside the scanned dates.';
+    if (!confirm(question)) {
+      return;
+    }
+
+    try {
+      const count = mode === 'delete'
+        ? await deleteHistoryEntries(entries)
+        : await rewriteHistoryEntries(entries);
+      const verb = mode === 'delete' ? 'Deleted' : 'Replaced';
+      this.showToast(`${verb} ${count} history ${count === 1 ? 'entry' : 'entries'}`, 'success');
+
+      // The report now describes history that no longer exists
+      this.report = null;
+      this.elements.reportSection.style.display = 'none';
+      this.elements.scanStatus.textContent = '';
+    } catch (error) {
+      console.error('Error cleaning up history:', error);
+      this.showToast('Failed to clean up history', 'error');
+    }
+  }
+
+  showToast(message: string, type: 'info' | 'success' | 'error' = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+
+    this.elements.toastContainer.appendChild(toast);
+
+    setTimeout(() => {
+      toast.remove();
+    }, UI.TIMING.TOAST_DURATION);
+  }
+}
+
+// Initialize the page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new PrivacyReportPage();
+});
@@ -10,13 +10,19 @@ import { vi } from 'vitest';
   tabs: {
     query: vi.fn(),
     update: vi.fn(),
-    get: vi.fn()
+    get: vi.fn(),
+    create: vi.fn(),
+    remove: vi.fn()
   },
   action: {
     setBadgeText: vi.fn(),
     setBadgeBackgroundColor: vi.fn()
   },
   runtime: {
+    getURL: vi.fn((path: string) => `chrome-extension://test-id/${path}`),
+    getManifest: vi.fn(() => ({})),
+    getContexts: vi.fn().mockResolvedValue([]),
+    sendMessage: vi.fn(),
     onInstalled: {
       addListener: vi.fn()
     },
@@ -34,10 +40,52 @@ import { vi } from 'vitest';
       addListener: vi.fn()
     }
   },
+  bookmarks: {
+    getTree: vi.fn(),
+    get: vi.fn(),
+    update: vi.fn()
+  },
+  history: {
+    search: vi.fn(),
+    addUrl: vi.fn(),
+    deleteUrl: vi.fn()
+  },
+  declarativeNetRequest: {
+    getDynamicRules: vi.fn().mockResolvedValue([]),
+    updateDynamicRules: vi.fn().mockResolvedValue(undefined)
+  },
+  scripting: {
+    executeScript: vi.fn()
+  },
+  notifications: {
+    create: vi.fn().mockResolvedValue('notification-1'),
+    clear: vi.fn(),
+    onButtonClicked: {
+      addListener: vi.fn()
+    },
+    onClosed: {
+      addListener: vi.fn()
+    }
+  },
+  offscreen: {
+    createDocument: vi.fn().mockResolvedValue(undefined)
+  },
+  permissions: {
+    request: vi.fn().mockResolvedValue(true),
+    contains: vi.fn().mockResolvedValue(true)
+  },
   storage: {
     local: {
       set: vi.fn(),
       get: vi.fn()
+    },
+    session: {
+      set: vi.fn(),
+      get: vi.fn(),
+      remove: vi.fn()
+    },
+    onChanged: {
+      addListener: vi.fn()
     }
   }
 };
@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for Automatic Cleaning
+ *
+ * Tests for the declarativeNetRequest rules generated from the tracking rules:
+ * - Global and host-scoped rules, profiles
+ * - Host conditions (requestDomains, regexFilter, excludedRequestDomains)
+ * - Syncing dynamic rules with settings
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import { buildAutoCleanRules, syncAutoCleanRules } from '../../utils/auto-clean';
+import { DEFAULT_SETTINGS } from '../../utils/settings';
+import { TRACKING_RULES } from '../../utils/tracking-rules';
+
+const dnr = chrome.declarativeNetRequest as any;
+
+/**
+ * Finds the generated rule removing a parameter
+ */
+const ruleRemoving = (rules: chrome.declarativeNetRequest.Rule[], param: string) =>
+  rules.find((rule) => rule.action.redirect?.transform?.queryTransform?.removeParams?.includes(param));
+
+describe('Automatic Cleaning', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  // ============================================================================
+  // buildAutoCleanRules Function
+  // ============================================================================
+  describe('buildAutoCleanRules function', () => {
+    test('should remove global parameters on every navigation', () => {
+      const rules = buildAutoCleanRules('standard');
+      const global = ruleRemoving(rules, 'fbclid')!;
+
+      expect(global.action.type).toBe('redirect');
+      expect(global.action.redirect?.transform?.queryTransform?.removeParams).toEqual(
+        expect.arrayContaining(['utm_source', 'gclid', 'source'])
+      );
+      expect(global.condition).toEqual({ resourceTypes: ['main_frame', 'sub_frame'] });
+    });
+
+    test('should give rules unique ids starting at 1', () => {
+      const ids = buildAutoCleanRules('aggressive').map((rule) => rule.id);
+
+      expect(ids[0]).toBe(1);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('should follow the cleaning profile', () => {
+      expect(ruleRemoving(buildAutoCleanRules('safe'), 'source')).toBeUndefined();
+      expect(ruleRemoving(buildAutoCleanRules('standard'), 'spm')).toBeUndefined();
+      expect(ruleRemoving(buildAutoCleanRules('aggressive'), 'spm')).toBeDefined();
+    });
+
+    test('should leave glob and regex patterns to manual cleaning', () => {
+      const params = buildAutoCleanRules('aggressive').flatMap(
+        (rule) => rule.action.redirect?.transform?.queryTransform?.removeParams ?? []
+      );
+
+      expect(params.some((param) => /[*?]/.test(param))).toBe(false);
+    });
+
+    test('should leave out only the pattern-based rules', () => {
+      const params = new Set(buildAutoCleanRules('aggressive').flatMap(
+        (rule) => rule.action.redirect?.transform?.queryTransform?.removeParams ?? []
+      ));
+      const excluded = TRACKING_RULES.filter(rule =>
+        rule.params.some(pattern => typeof pattern !== 'string' || !params.has(pattern))
+      );
+
+      // Cleaned in place once the page commits instead (handlePageUrlChange)
+      expect(excluded.map(rule => rule.id)).toEqual(['utm-other', 'hubspot-ads', 'omeda', 'matomo-campaign']);
+    });
+
+    test('should limit public-suffix wildcard rules to the expanded domains', () => {
+      const amazon = ruleRemoving(buildAutoCleanRules('standard'), 'tag')!;
+
+      expect(amazon.condition.regexFilter).toBeUndefined();
+      expect(amazon.condition.requestDomains).toEqual(expect.arrayContaining(['amazon.com', 'amazon.co.jp', 'amazon.de']));
+      expect(amazon.condition.requestDomains).not.toContain('amazon.github.io');
+      expect(amazon.condition.requestDomains!.every(domain => !domain.includes('*'))).toBe(true);
+    });
+
+    test('should exclude hosts where a parameter is meaningful', () => {
+      const ref = ruleRemoving(buildAutoCleanRules('standard'), 'ref')!;
+
+      expect(ref.condition.excludedRequestDomains).toEqual(['github.com', 'gitlab.com', 'bitbucket.org']);
+    });
+  });
+
+  // ============================================================================
+  // syncAutoCleanRules Function
+  // ============================================================================
+  describe('syncAutoCleanRules function', () => {
+    test('should replace existing dynamic rules when auto-clean is on', async () => {
+      dnr.getDynamicRules.mockResolvedValueOnce([{ id: 1 }, { id: 7 }]);
+
+      const count = await syncAutoCleanRules({ ...DEFAULT_SETTINGS, autoClean: true, profile: 'safe' });
+
+      expect(count).toBe(buildAutoCleanRules('safe').length);
+      expect(dnr.updateDynamicRules).toHaveBeenCalledWith({
+        removeRuleIds: [1, 7],
+        addRules: buildAutoCleanRules('safe'),
+      });
+    });
+
+    test('should remove all dynamic rules when auto-clean is off', async () => {
+      dnr.getDynamicRules.mockResolvedValueOnce([{ id: 1 }]);
+
+      expect(await syncAutoCleanRules(DEFAULT_SETTINGS)).toBe(0);
+      expect(dnr.updateDynamicRules).toHaveBeenCalledWith({ removeRuleIds: [1], addRules: [] });
+    });
+
+    test('should run overlapping syncs one after the other', async () => {
+      let dynamicRules: chrome.declarativeNetRequest.Rule[] = [];
+      const getDynamicRules = async () => dynamicRules;
+      const updateDynamicRules = async ({ removeRuleIds = [], addRules = [] }: chrome.declarativeNetRequest.UpdateRuleOptions) => {
+        // Let the other sync run between reading and writing the rules
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const keptRules = dynamicRules.filter(rule => !removeRuleIds.includes(rule.id));
+        if (addRules.some(added => keptRules.some(rule => rule.id === added.id))) {
+          throw new Error('Rule id is not unique');
+        }
+        dynamicRules = [...keptRules, ...addRules];
+      };
+      dnr.getDynamicRules.mockImplementationOnce(getDynamicRules).mockImplementationOnce(getDynamicRules);
+      dnr.updateDynamicRules.mockImplementationOnce(updateDynamicRules).mockImplementationOnce(updateDynamicRules);
+
+      const settings = { ...DEFAULT_SETTINGS, autoClean: true };
+      const counts = await Promise.all([
+        syncAutoCleanRules({ ...settings, profile: 'safe' }),
+        syncAutoCleanRules({ ...settings, profile: 'aggressive' }),
+      ]);
+
+      expect(counts).toEqual([buildAutoCleanRules('safe').length, buildAutoCleanRules('aggressive').length]);
+      expect(dynamicRules).toEqual(buildAutoCleanRules('aggressive'));
+      expect(dnr.updateDynamicRules).toHaveBeenLastCalledWith({
+        removeRuleIds: buildAutoCleanRules('safe').map(rule => rule.id),
+        addRules: buildAutoCleanRules('aggressive'),
+      });
+    });
+
+    test('should keep syncing after a failed sync', async () => {
+      dnr.updateDynamicRules.mockRejectedValueOnce(new Error('Quota exceeded'));
+
+      await expect(syncAutoCleanRules({ ...DEFAULT_SETTINGS, autoClean: true })).rejects.toThrow('Quota exceeded');
+      expect(await syncAutoCleanRules(DEFAULT_SETTINGS)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for the Toolbar Icon Badge
+ *
+ * Tests for the badge of a tab:
+ * - Color by the most serious tracking category
+ * - Count or dot style
+ * - Tooltip listing the tracking parameters
+ */
+
+import { describe, test, expect } from 'vitest';
+
+import { buildBadgeTitle, getBadgeState, getMostSeriousCategory } from '../../utils/badge';
+import { analyzeUrl } from '../../utils/clean-url-logic';
+import { BADGE } from '../../utils/config';
+
+const EMPTY_SUMMARY = { utm: 0, social: 0, ads: 0, affiliate: 0, email: 0, analytics: 0 };
+
+describe('Badge', () => {
+  describe('getMostSeriousCategory function', () => {
+    test('should pick the most serious category found', () => {
+      expect(getMostSeriousCategory({ ...EMPTY_SUMMARY, utm: 3, ads: 1 })).toBe('ads');
+      expect(getMostSeriousCategory({ ...EMPTY_SUMMARY, ads: 1, email: 1 })).toBe('email');
+      expect(getMostSeriousCategory({ ...EMPTY_SUMMARY, utm: 1 })).toBe('utm');
+    });
+
+    test('should return null when nothing was found', () => {
+      expect(getMostSeriousCategory(EMPTY_SUMMARY)).toBeNull();
+    });
+
+    test('should rank every category', () => {
+      expect([...BADGE.CATEGORY_SEVERITY].sort()).toEqual(Object.keys(BADGE.CATEGORY_COLORS).sort());
+    });
+  });
+
+  describe('getBadgeState function', () => {
+    test('should show the count in the color of the most serious category', () => {
+      const badge = getBadgeState(analyzeUrl('https://example.com/?utm_source=a&utm_medium=b&gclid=c'));
+
+      expect(badge.text).toBe('3');
+      expect(badge.color).toBe(BADGE.CATEGORY_COLORS.ads);
+    });
+
+    test('should use the UTM color for campaign labels only', () => {
+      expect(getBadgeState(analyzeUrl('https://example.com/?utm_source=a')).color).toBe(BADGE.CATEGORY_COLORS.utm);
+    });
+
+    test('should show a dot instead of the count when asked', () => {
+      const badge = getBadgeState(analyzeUrl('https://example.com/?utm_source=a&fbclid=b'), 'dot');
+
+      expect(badge.text).toBe(BADGE.DOT_TEXT);
+      expect(badge.color).toBe(BADGE.CATEGORY_COLORS.social);
+    });
+
+    test('should cap the count', () => {
+      const params = Array.from({ length: BADGE.MAX_COUNT + 1 }, (_, index) => `utm_x${index}=1`).join('&');
+
+      expect(getBadgeState(analyzeUrl(`https://example.com/?${params}`)).text).toBe(`${BADGE.MAX_COUNT}+`);
+    });
+
+    test('should clear the badge for clean and invalid URLs', () => {
+      const cleared = { text: '', color: BADGE.DEFAULT_COLOR, title: BADGE.DEFAULT_TITLE };
+
+      expect(getBadgeState(analyzeUrl('https://example.com/page'))).toEqual(cleared);
+      expect(getBadgeState(analyzeUrl('not a url'), 'dot')).toEqual(cleared);
+    });
+  });
+
+  describe('buildBadgeTitle function', () => {
+    test('should list the tracking parameters with their explanation', () => {
+      expect(buildBadgeTitle(analyzeUrl('https://example.com/?utm_source=a&fbclid=b'))).toBe([
+        'Clean URL - 2 tracking parameters:',
+        '• utm_source - Campaign source (where the link was posted)',
+        '• fbclid - Meta click identifier',
+      ].join('\n'));
+    });
+
+    test('should shorten long lists', () => {
+      const params = Array.from({ length: BADGE.MAX_TITLE_PARAMS + 2 }, (_, index) => `utm_x${index}=1`).join('&');
+      const lines = buildBadgeTitle(analyzeUrl(`https://example.com/?${params}`)).split('\n');
+
+      expect(lines).toHaveLength(BADGE.MAX_TITLE_PARAMS + 2);
+      expect(lines.at(-1)).toBe('and 2 more');
+    });
+
+    test('should fall back to the extension name when nothing was found', () => {
+      expect(buildBadgeTitle(analyzeUrl('https://example.com/'))).toBe(BADGE.DEFAULT_TITLE);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for Bookmark Cleaning
+ *
+ * Tests for the bookmark cleaner:
+ * - Finding bookmarks with tracking parameters
+ * - Grouping the preview by folder
+ * - Applying approved changes with an undo snapshot
+ * - Undoing a run
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import {
+  applyBookmarkChanges,
+  findBookmarkChanges,
+  getBookmarkSnapshots,
+  groupChangesByFolder,
+  scanBookmarks,
+  undoBookmarkSnapshot,
+  BOOKMARK_SNAPSHOTS_KEY,
+  BOOKMARK_SNAPSHOT_LIMIT,
+  type BookmarkSnapshot,
+} from '../../utils/bookmark-cleaner';
+
+const bookmarks = chrome.bookmarks as any;
+const storage = chrome.storage as any;
+
+const TREE = [{
+  id: '0',
+  title: '',
+  children: [
+    {
+      id: '1',
+      title: 'Bookmarks bar',
+      children: [
+        { id: '10', title: 'Post', url: 'https://example.com/post?utm_source=newsletter&id=3' },
+        { id: '11', title: 'Clean', url: 'https://example.com/clean' },
+        {
+          id: '12',
+          title: 'Reading',
+          children: [
+            { id: '120', title: 'Article', url: 'https://news.com/a?fbclid=abc' },
+            { id: '121', title: 'Script', url: 'javascript:alert(1)' },
+          ],
+        },
+      ],
+    },
+    {
+      id: '2',
+      title: 'Other bookmarks',
+      children: [{ id: '20', title: 'Shop', url: 'https://shop.com/item?gclid=1' }],
+    },
+  ],
+}] as chrome.bookmarks.BookmarkTreeNode[];
+
+/**
+ * Keeps chrome.storage.local in memory so snapshots round-trip
+ */
+const useMemoryStorage = () => {
+  const data: Record<string, unknown> = {};
+  storage.local.get.mockImplementation(async (key: string) => ({ [key]: data[key] }));
+  storage.local.set.mockImplementation(async (items: Record<string, unknown>) => {
+    Object.assign(data, items);
+  });
+  return data;
+};
+
+describe('Bookmark Cleaner', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('findBookmarkChanges function', () => {
+    test('should find web bookmarks with tracking parameters and their folders', () => {
+      const changes = findBookmarkChanges(TREE);
+
+      expect(changes.map(({ id, folderPath, cleanedUrl }) => ({ id, folderPath, cleanedUrl }))).toEqual([
+        { id: '10', folderPath: ['Bookmarks bar'], cleanedUrl: 'https://example.com/post?id=3' },
+        { id: '120', folderPath: ['Bookmarks bar', 'Reading'], cleanedUrl: 'https://news.com/a' },
+        { id: '20', folderPath: ['Other bookmarks'], cleanedUrl: 'https://shop.com/item' },
+      ]);
+      expect(changes[0].removedParams[0].key).toBe('utm_source');
+    });
+
+    test('should use the cleaning options', () => {
+      const tree = [{ id: '5', title: 'Song', url: 'https://open.example.com/track?si=abc' }] as chrome.bookmarks.BookmarkTreeNode[];
+
+      expect(findBookmarkChanges(tree)).toHaveLength(0);
+      expect(findBookmarkChanges(tree, { profile: 'aggressive' })).toHaveLength(1);
+    });
+  });
+
+  test('groupChangesByFolder should group the preview by folder path', () => {
+    const groups = groupChangesByFolder(findBookmarkChanges(TREE));
+
+    expect(groups.map(({ folder, changes }) => [folder, changes.length])).toEqual([
+      ['Bookmarks bar', 1],
+      ['Bookmarks bar / Reading', 1],
+      ['Other bookmarks', 1],
+    ]);
+  });
+
+  test('scanBookmarks should scan the whole bookmark tree', async () => {
+    bookmarks.getTree.mockResolvedValueOnce(TREE);
+
+    expect(await scanBookmarks()).toHaveLength(3);
+  });
+
+  describe('applyBookmarkChanges function', () => {
+    test('should save an undo snapshot and update the approved bookmarks', async () => {
+      const data = useMemoryStorage();
+      const [first, , third] = findBookmarkChanges(TREE);
+
+      const result = await applyBookmarkChanges([first, third]);
+
+      expect(result).toMatchObject({ updatedCount: 2, failedCount: 0 });
+      expect(bookmarks.update).toHaveBeenCalledWith('10', { url: 'https://example.com/post?id=3' });
+      expect(bookmarks.update).toHaveBeenCalledWith('20', { url: 'https://shop.com/item' });
+
+      const [snapshot] = data[BOOKMARK_SNAPSHOTS_KEY] as BookmarkSnapshot[];
+      expect(snapshot.id).toBe(result.snapshotId);
+      expect(snapshot.entries.map((entry) => entry.originalUrl)).toEqual([first.originalUrl, third.originalUrl]);
+    });
+
+    test('should count bookmarks deleted since the scan as failed', async () => {
+      useMemoryStorage();
+      bookmarks.update.mockRejectedValueOnce(new Error("Can't find bookmark for id."));
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await applyBookmarkChanges(findBookmarkChanges(TREE));
+
+      expect(result).toMatchObject({ updatedCount: 2, failedCount: 1 });
+      warn.mockRestore();
+    });
+
+    test('should keep a limited number of snapshots, newest first', async () => {
+      const data = useMemoryStorage();
+      const old = Array.from({ length: BOOKMARK_SNAPSHOT_LIMIT }, (_, index) => ({
+        id: `old-${index}`,
+        createdAt: index,
+        entries: [],
+      }));
+      data[BOOKMARK_SNAPSHOTS_KEY] = old;
+
+      const { snapshotId } = await applyBookmarkChanges(findBookmarkChanges(TREE).slice(0, 1));
+      const snapshots = await getBookmarkSnapshots();
+
+      expect(snapshots).toHaveLength(BOOKMARK_SNAPSHOT_LIMIT);
+      expect(snapshots[0].id).toBe(snapshotId);
+      expect(snapshots.map(({ id }) => id)).not.toContain(`old-${BOOKMARK_SNAPSHOT_LIMIT - 1}`);
+    });
+  });
+
+  describe('undoBookmarkSnapshot function', () => {
+    test('should restore bookmarks that still have the cleaned URL and drop the snapshot', async () => {
+      const data = useMemoryStorage();
+      const changes = findBookmarkChanges(TREE).slice(0, 2);
+      const { snapshotId } = await applyBookmarkChanges(changes);
+      bookmarks.update.mockClear();
+
+      // The second bookmark was edited by the user since
+      bookmarks.get.mockImplementation(async (id: string) => [
+        { id, url: id === '10' ? changes[0].cleanedUrl : 'https://news.com/edited' },
+      ]);
+
+      expect(await undoBookmarkSnapshot(snapshotId)).toBe(1);
+      expect(bookmarks.update).toHaveBeenCalledTimes(1);
+      expect(bookmarks.update).toHaveBeenCalledWith('10', { url: changes[0].originalUrl });
+      expect(data[BOOKMARK_SNAPSHOTS_KEY]).toEqual([]);
+    });
+
+    test('should do nothing for unknown snapshots', async () => {
+      useMemoryStorage();
+
+      expect(await undoBookmarkSnapshot('missing')).toBe(0);
+      expect(bookmarks.update).not.toHaveBeenCalled();
+    });
+  });
+});
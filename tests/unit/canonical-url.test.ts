@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for Canonical Product URLs
+ *
+ * Tests for the opt-in marketplace canonicalization:
+ * - Amazon /dp/ASIN, eBay /itm/<id>, AliExpress /item/<id>.html
+ * - Non-product pages and other hosts are left alone
+ * - Integration with cleanUrl and analyzeUrl
+ */
+
+import { describe, test, expect } from 'vitest';
+
+import { canonicalizeUrl } from '../../utils/canonical-url';
+import { cleanUrl, analyzeUrl } from '../../utils/clean-url-logic';
+
+describe('Canonical Product URLs', () => {
+  // ============================================================================
+  // canonicalizeUrl Function
+  // ============================================================================
+  describe('canonicalizeUrl function', () => {
+    test.each([
+      [
+        'https://www.amazon.com/Some-Title/dp/B0XXXXXXXX/ref=sr_1_1?th=1',
+        'https://www.amazon.com/dp/B0XXXXXXXX',
+      ],
+      [
+        'https://www.amazon.co.jp/gp/product/B0DCMFWCZT?psc=1',
+        'https://www.amazon.co.jp/dp/B0DCMFWCZT',
+      ],
+      ['https://www.amazon.de/gp/aw/d/3161484100', 'https://www.amazon.de/dp/3161484100'],
+    ])('should canonicalize Amazon product URL %s', (url, expected) => {
+      expect(canonicalizeUrl(url)).toEqual({ url: expected, rule: 'amazon-product' });
+    });
+
+    test('should canonicalize eBay item URLs', () => {
+      expect(
+        canonicalizeUrl('https://www.ebay.com/itm/Vintage-Camera-Lens/123456789012?hash=item1')
+      ).toEqual({ url: 'https://www.ebay.com/itm/123456789012', rule: 'ebay-item' });
+      expect(canonicalizeUrl('https://www.ebay.co.uk/itm/123456789012?_trkparms=x')).toEqual({
+        url: 'https://www.ebay.co.uk/itm/123456789012',
+        rule: 'ebay-item',
+      });
+    });
+
+    test('should canonicalize AliExpress item URLs', () => {
+      expect(
+        canonicalizeUrl('https://ja.aliexpress.com/item/1005001234567890.html?spm=a2g0o&gatewayAdapt=glo2jpn')
+      ).toEqual({
+        url: 'https://ja.aliexpress.com/item/1005001234567890.html',
+        rule: 'aliexpress-item',
+      });
+    });
+
+    test('should return null for URLs already in canonical form', () => {
+      expect(canonicalizeUrl('https://www.amazon.com/dp/B0XXXXXXXX')).toBe(null);
+    });
+
+    test('should return null for non-product pages and other hosts', () => {
+      expect(canonicalizeUrl('https://www.amazon.com/s?k=headphones')).toBe(null);
+      expect(canonicalizeUrl('https://example.com/dp/B0XXXXXXXX?x=1')).toBe(null);
+      expect(canonicalizeUrl('https://amazon.github.io/dp/B0XXXXXXXX?x=1')).toBe(null);
+      expect(canonicalizeUrl('not-a-url')).toBe(null);
+    });
+  });
+
+  // ============================================================================
+  // cleanUrl / analyzeUrl Integration
+  // ============================================================================
+  describe('cleanUrl integration', () => {
+    const amazonUrl =
+      'https://www.amazon.com/Some-Title/dp/B0XXXXXXXX/ref=sr_1_1?pd_rd_i=B0XXXXXXXX&th=1';
+
+    test('should not canonicalize unless opted in', () => {
+      const result = cleanUrl(amazonUrl);
+
+      expect(result.cleanedUrl).toBe('https://www.amazon.com/Some-Title/dp/B0XXXXXXXX?th=1');
+      expect(result.canonicalized).toBe(null);
+    });
+
+    test('should canonicalize after removing tracking when opted in', () => {
+      const result = cleanUrl(amazonUrl, { canonicalize: true });
+
+      expect(result.cleanedUrl).toBe('https://www.amazon.com/dp/B0XXXXXXXX');
+      expect(result.canonicalized).toEqual({
+        rule: 'amazon-product',
+        from: 'https://www.amazon.com/Some-Title/dp/B0XXXXXXXX?th=1',
+      });
+    });
+
+    test('should report canonicalization separately from removed params', () => {
+      const result = analyzeUrl(amazonUrl, { canonicalize: true });
+
+      expect(result.removedCount).toBe(2); // /ref=sr_1_1 and pd_rd_i, not th=1
+      expect(result.removedParams.map((param) => param.key)).toEqual(['ref', 'pd_rd_i']);
+      expect(result.canonicalized?.rule).toBe('amazon-product');
+    });
+
+    test('should count a canonical rewrite as a change', () => {
+      const result = cleanUrl('https://www.ebay.com/itm/Camera/123456789012', {
+        canonicalize: true,
+      });
+
+      expect(result.removedCount).toBe(0);
+      expect(result.hasChanges).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for Clipboard Writes
+ *
+ * Tests for copying from the background service worker:
+ * - Plain and rich (text/html) clipboard content
+ * - Markdown links
+ * - execCommand-based writes in the offscreen document
+ * - Creating the offscreen document once
+ */
+
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import {
+  buildClipboardContent,
+  buildMarkdownLink,
+  copyToClipboard,
+  writeClipboardContent,
+  OFFSCREEN_DOCUMENT_PATH,
+  OFFSCREEN_TARGET,
+} from '../../utils/clipboard';
+
+const runtime = chrome.runtime as any;
+const offscreen = chrome.offscreen as any;
+
+describe('Clipboard', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    runtime.getContexts.mockResolvedValue([]);
+    runtime.sendMessage.mockResolvedValue({ success: true });
+  });
+
+  describe('buildClipboardContent function', () => {
+    test('should copy only the URL by default', () => {
+      expect(buildClipboardContent('https://a.com/', 'Title')).toEqual({ text: 'https://a.com/' });
+    });
+
+    test('should add an escaped HTML link for rich copies', () => {
+      expect(buildClipboardContent('https://a.com/?x=1&y="2"', '<b>News</b> & more', true)).toEqual({
+        text: 'https://a.com/?x=1&y="2"',
+        html: '<a href="https://a.com/?x=1&amp;y=&quot;2&quot;">&lt;b&gt;News&lt;/b&gt; &amp; more</a>',
+      });
+    });
+
+    test('should fall back to plain text without a title', () => {
+      expect(buildClipboardContent('https://a.com/', '  ', true)).toEqual({ text: 'https://a.com/' });
+      expect(buildClipboardContent('https://a.com/', undefined, true)).toEqual({ text: 'https://a.com/' });
+    });
+  });
+
+  describe('buildMarkdownLink function', () => {
+    test('should format a Markdown link', () => {
+      expect(buildMarkdownLink('https://a.com/post', 'A post')).toBe('[A post](https://a.com/post)');
+    });
+
+    test('should escape brackets in the text and parentheses in the URL', () => {
+      expect(buildMarkdownLink('https://a.com/wiki/X_(Y)', 'X [Y]')).toBe(
+        '[X \\[Y\\]](https://a.com/wiki/X_%28Y%29)'
+      );
+    });
+
+    test('should collapse whitespace and fall back to the URL as text', () => {
+      expect(buildMarkdownLink('https://a.com/', '  Multi\n  line ')).toBe('[Multi line](https://a.com/)');
+      expect(buildMarkdownLink('https://a.com/')).toBe('[https://a.com/](https://a.com/)');
+    });
+  });
+
+  describe('writeClipboardContent function', () => {
+    const originalExecCommand = document.execCommand;
+    let clipboard: Map<string, string>;
+
+    beforeEach(() => {
+      clipboard = new Map();
+      // jsdom has no clipboard - fire the copy event execCommand would fire
+      document.execCommand = vi.fn(() => {
+        const event = new Event('copy', { cancelable: true }) as ClipboardEvent;
+        Object.defineProperty(event, 'clipboardData', {
+          value: { setData: (type: string, value: string) => clipboard.set(type, value) },
+        });
+        document.dispatchEvent(event);
+        return true;
+      });
+    });
+
+    afterEach(() => {
+      document.execCommand = originalExecCommand;
+    });
+
+    test('should set both formats of rich content', () => {
+      const content = buildClipboardContent('https://a.com/', 'A', true);
+
+      expect(writeClipboardContent(document, content)).toBe(true);
+      expect(clipboard.get('text/plain')).toBe('https://a.com/');
+      expect(clipboard.get('text/html')).toBe('<a href="https://a.com/">A</a>');
+    });
+
+    test('should leave no trace in the document', () => {
+      writeClipboardContent(document, { text: 'https://a.com/' });
+      document.dispatchEvent(new Event('copy'));
+
+      expect(document.querySelector('textarea')).toBeNull();
+      expect(clipboard.has('text/html')).toBe(false);
+      expect(document.execCommand).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('copyToClipboard function', () => {
+    test('should create the offscreen document and send it the content', async () => {
+      expect(await copyToClipboard({ text: 'https://a.com/' })).toBe(true);
+
+      expect(offscreen.createDocument).toHaveBeenCalledWith(expect.objectContaining({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ['CLIPBOARD'],
+      }));
+      expect(runtime.sendMessage).toHaveBeenCalledWith({
+        target: OFFSCREEN_TARGET,
+        action: 'writeClipboard',
+        content: { text: 'https://a.com/' },
+      });
+    });
+
+    test('should reuse an open offscreen document', async () => {
+      runtime.getContexts.mockResolvedValue([{ contextType: 'OFFSCREEN_DOCUMENT' }]);
+
+      await copyToClipboard({ text: 'https://a.com/' });
+
+      expect(offscreen.createDocument).not.toHaveBeenCalled();
+    });
+
+    test('should create the document once for concurrent copies', async () => {
+      await Promise.all([copyToClipboard({ text: 'a' }), copyToClipboard({ text: 'b' })]);
+
+      expect(offscreen.createDocument).toHaveBeenCalledTimes(1);
+      expect(runtime.sendMessage).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report a refused write', async () => {
+      runtime.sendMessage.mockResolvedValue({ success: false });
+
+      expect(await copyToClipboard({ text: 'a' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for Content Script Registration
+ *
+ * Tests that the link and copy cleaners are only registered where they are turned on.
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import {
+  syncCopyCleanerScript,
+  syncLinkCleanerScript,
+  siteMatchPattern,
+  ALL_SITES_PATTERN,
+  COPY_CLEANER_SCRIPT,
+  LINK_CLEANER_SCRIPT,
+} from '../../utils/content-scripts';
+import { DEFAULT_SETTINGS } from '../../utils/settings';
+
+describe('Content Script Registration', () => {
+  test('should build a match pattern covering http and https pages of a host', () => {
+    expect(siteMatchPattern('news.example.com')).toBe('*://news.example.com/*');
+  });
+
+  // ============================================================================
+  // syncLinkCleanerScript Function
+  // ============================================================================
+  describe('syncLinkCleanerScript function', () => {
+    const scripting = chrome.scripting as any;
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      scripting.getRegisteredContentScripts = vi.fn().mockResolvedValue([]);
+      scripting.registerContentScripts = vi.fn().mockResolvedValue(undefined);
+      scripting.unregisterContentScripts = vi.fn().mockResolvedValue(undefined);
+    });
+
+    test('should register the script for enabled sites only', async () => {
+      const matches = await syncLinkCleanerScript({
+        ...DEFAULT_SETTINGS,
+        linkCleaningSites: { 'news.example.com': { skipSameOrigin: true } },
+      });
+
+      expect(matches).toEqual(['*://news.example.com/*']);
+      expect(scripting.registerContentScripts).toHaveBeenCalledWith([
+        expect.objectContaining({
+          id: LINK_CLEANER_SCRIPT.ID,
+          js: [LINK_CLEANER_SCRIPT.FILE],
+          matches: ['*://news.example.com/*'],
+        }),
+      ]);
+    });
+
+    test('should replace an earlier registration and register nothing without sites', async () => {
+      scripting.getRegisteredContentScripts.mockResolvedValueOnce([{ id: LINK_CLEANER_SCRIPT.ID }]);
+
+      await syncLinkCleanerScript(DEFAULT_SETTINGS);
+
+      expect(scripting.unregisterContentScripts).toHaveBeenCalledWith({ ids: [LINK_CLEANER_SCRIPT.ID] });
+      expect(scripting.registerContentScripts).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // syncCopyCleanerScript Function
+  // ============================================================================
+  describe('syncCopyCleanerScript function', () => {
+    const scripting = chrome.scripting as any;
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      scripting.getRegisteredContentScripts = vi.fn().mockResolvedValue([]);
+      scripting.registerContentScripts = vi.fn().mockResolvedValue(undefined);
+      scripting.unregisterContentScripts = vi.fn().mockResolvedValue(undefined);
+    });
+
+    test('should register the script on all sites and frames when cleaning on copy is on', async () => {
+      const matches = await syncCopyCleanerScript({ ...DEFAULT_SETTINGS, cleanOnCopy: true });
+
+      expect(matches).toEqual([ALL_SITES_PATTERN]);
+      expect(scripting.registerContentScripts).toHaveBeenCalledWith([
+        expect.objectContaining({
+          id: COPY_CLEANER_SCRIPT.ID,
+          js: [COPY_CLEANER_SCRIPT.FILE],
+          allFrames: true,
+        }),
+      ]);
+    });
+
+    test('should not register the script when cleaning on copy is off', async () => {
+      expect(await syncCopyCleanerScript(DEFAULT_SETTINGS)).toEqual([]);
+      expect(scripting.registerContentScripts).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for Context Menus
+ *
+ * Tests for the "Clean URL" right-click submenu:
+ * - Menu structure (one parent, unique item ids)
+ * - Reading the text of the clicked link
+ */
+
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import {
+  createContextMenus,
+  findLinkText,
+  CONTEXT_MENU_ITEMS,
+  CONTEXT_MENU_ROOT_ID,
+} from '../../utils/context-menus';
+
+const contextMenus = chrome.contextMenus as any;
+
+describe('Context Menus', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    contextMenus.removeAll.mockImplementation((callback: () => void) => callback());
+  });
+
+  describe('createContextMenus function', () => {
+    test('should nest every item under the Clean URL submenu', () => {
+      createContextMenus();
+
+      const created = contextMenus.create.mock.calls.map(([item]: [chrome.contextMenus.CreateProperties]) => item);
+      expect(created[0]).toMatchObject({ id: CONTEXT_MENU_ROOT_ID, title: 'Clean URL' });
+      expect(created.slice(1)).toHaveLength(CONTEXT_MENU_ITEMS.length);
+      created.slice(1).forEach((item: chrome.contextMenus.CreateProperties) => {
+        expect(item.parentId).toBe(CONTEXT_MENU_ROOT_ID);
+      });
+    });
+
+    test('should show the submenu in every context an item uses', () => {
+      createContextMenus();
+
+      const rootContexts = contextMenus.create.mock.calls[0][0].contexts;
+      CONTEXT_MENU_ITEMS.flatMap((item) => item.contexts ?? []).forEach((context) => {
+        expect(rootContexts).toContain(context);
+      });
+    });
+
+    test('should use unique ids and keep the original menu ids', () => {
+      const ids = CONTEXT_MENU_ITEMS.map((item) => item.id);
+
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(ids).toEqual(expect.arrayContaining(['clean-current-url', 'clean-link-url']));
+    });
+
+    test('should offer copy, Markdown, open, selection and media actions', () => {
+      const byId = Object.fromEntries(CONTEXT_MENU_ITEMS.map((item) => [item.id, item]));
+
+      expect(byId['copy-clean-link'].contexts).toEqual(['link']);
+      expect(byId['copy-clean-link-markdown'].contexts).toEqual(['link']);
+      expect(byId['open-clean-link-here'].contexts).toEqual(['link']);
+      expect(byId['open-clean-link-incognito'].contexts).toEqual(['link']);
+      expect(byId['clean-selection'].contexts).toEqual(['selection']);
+      expect(byId['copy-clean-media-url'].contexts).toEqual(['image', 'video']);
+    });
+  });
+
+  describe('findLinkText function', () => {
+    afterEach(() => {
+      document.body.innerHTML = '';
+    });
+
+    test('should return the text of the link with the clicked URL', () => {
+      document.body.innerHTML = `
+        <a href="https://a.com/other">Other</a>
+        <a href="https://a.com/post?utm_source=x"><img alt="">
+          Great  post </a>`;
+
+      expect(findLinkText('https://a.com/post?utm_source=x')).toBe('Great  post');
+    });
+
+    test('should skip links without text and unknown URLs', () => {
+      document.body.innerHTML = '<a href="https://a.com/"><img alt="logo"></a>';
+
+      expect(findLinkText('https://a.com/')).toBeNull();
+      expect(findLinkText('https://b.com/')).toBeNull();
+    });
+  });
+});
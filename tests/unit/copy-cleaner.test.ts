@@ -0,0 +1,162 @@
+/**
+ * Unit Tests for Cleaning URLs on Copy
+ *
+ * Tests for the copy-cleaner content script logic:
+ * - Reading the copied text from the page or a text field
+ * - Replacing the clipboard text only when URLs were cleaned
+ * - Keeping the formatting of rich selections (text/html)
+ * - Leaving copies handled by the page alone
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+
+import { getCleanedCopiedHtml, getCopiedText, handleCopyEvent, startCopyCleaner } from '../../utils/copy-cleaner';
+
+/**
+ * Selects the contents of an element in the page
+ */
+const selectContents = (element: Element) => {
+  const range = document.createRange();
+  range.selectNodeContents(element);
+  document.getSelection()!.removeAllRanges();
+  document.getSelection()!.addRange(range);
+};
+
+/**
+ * Builds a copy event with a writable clipboard
+ */
+const createCopyEvent = () => {
+  const data = new Map<string, string>();
+  const event = new Event('copy', { bubbles: true, cancelable: true }) as ClipboardEvent;
+  Object.defineProperty(event, 'clipboardData', {
+    value: {
+      setData: (type: string, value: string) => data.set(type, value),
+      getData: (type: string) => data.get(type) ?? '',
+    },
+  });
+  return { event, data };
+};
+
+describe('Copy Cleaner', () => {
+  afterEach(() => {
+    document.getSelection()?.removeAllRanges();
+    document.body.innerHTML = '';
+  });
+
+  describe('getCopiedText function', () => {
+    test('should read the page selection', () => {
+      document.body.innerHTML = '<p>Visit https://example.com/?utm_source=x</p>';
+      selectContents(document.querySelector('p')!);
+
+      expect(getCopiedText(document)).toBe('Visit https://example.com/?utm_source=x');
+    });
+
+    test('should read the selection of the focused text field', () => {
+      document.body.innerHTML = '<textarea>a https://example.com/?gclid=1 b</textarea>';
+      const field = document.querySelector('textarea')!;
+      field.focus();
+      field.setSelectionRange(2, 30);
+
+      expect(getCopiedText(document)).toBe('https://example.com/?gclid=1');
+    });
+  });
+
+  describe('handleCopyEvent function', () => {
+    test('should put the cleaned text on the clipboard', () => {
+      document.body.innerHTML = '<p>Visit https://example.com/page?id=1&fbclid=abc now</p>';
+      selectContents(document.querySelector('p')!);
+      const { event, data } = createCopyEvent();
+
+      expect(handleCopyEvent(event, document, {})).toBe(true);
+      expect(data.get('text/plain')).toBe('Visit https://example.com/page?id=1 now');
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    test('should leave copies without tracked URLs to the browser', () => {
+      document.body.innerHTML = '<p>Visit https://example.com/page</p>';
+      selectContents(document.querySelector('p')!);
+      const { event, data } = createCopyEvent();
+
+      expect(handleCopyEvent(event, document, {})).toBe(false);
+      expect(data.size).toBe(0);
+      expect(event.defaultPrevented).toBe(false);
+    });
+
+    test('should not override clipboard data set by the page', () => {
+      document.body.innerHTML = '<p>https://example.com/?utm_source=x</p>';
+      selectContents(document.querySelector('p')!);
+      const { event, data } = createCopyEvent();
+      event.preventDefault();
+
+      expect(handleCopyEvent(event, document, {})).toBe(false);
+      expect(data.size).toBe(0);
+    });
+  });
+
+  describe('rich selections', () => {
+    test('should keep the formatting and clean link targets and URL text', () => {
+      document.body.innerHTML = [
+        '<div><p><strong>Read</strong> <a href="https://example.com/post?id=1&amp;utm_source=x">this post</a></p>',
+        '<ul><li>See https://news.com/a?fbclid=abc</li></ul></div>',
+      ].join('');
+      selectContents(document.querySelector('div')!);
+      const { event, data } = createCopyEvent();
+
+      expect(handleCopyEvent(event, document, {})).toBe(true);
+      expect(data.get('text/plain')).toBe('Read this postSee https://news.com/a');
+      expect(data.get('text/html')).toBe([
+        '<p><strong>Read</strong> <a href="https://example.com/post?id=1">this post</a></p>',
+        '<ul><li>See https://news.com/a</li></ul>',
+      ].join(''));
+    });
+
+    test('should clean a link whose text has no URL', () => {
+      document.body.innerHTML = '<p><a href="https://example.com/?gclid=1">Shop</a></p>';
+      selectContents(document.querySelector('p')!);
+      const { event, data } = createCopyEvent();
+
+      expect(handleCopyEvent(event, document, {})).toBe(true);
+      expect(data.get('text/plain')).toBe('Shop');
+      expect(data.get('text/html')).toBe('<a href="https://example.com/">Shop</a>');
+    });
+
+    test('should leave link targets that are not web URLs alone', () => {
+      document.body.innerHTML = '<p><a href="mailto:a@example.com?utm_source=x">Mail</a></p>';
+      selectContents(document.querySelector('p')!);
+
+      expect(getCleanedCopiedHtml(document, {})).toEqual({
+        html: '<a href="mailto:a@example.com?utm_source=x">Mail</a>',
+        hasChanges: false,
+      });
+    });
+
+    test('should not build HTML for copies from a text field', () => {
+      document.body.innerHTML = '<input value="https://example.com/?gclid=1">';
+      const field = document.querySelector('input')!;
+      field.focus();
+      field.select();
+      const { event, data } = createCopyEvent();
+
+      expect(getCleanedCopiedHtml(document, {})).toBeNull();
+      expect(handleCopyEvent(event, document, {})).toBe(true);
+      expect(data.has('text/html')).toBe(false);
+    });
+  });
+
+  describe('startCopyCleaner function', () => {
+    test('should clean copies until stopped', () => {
+      document.body.innerHTML = '<p>https://example.com/?utm_source=x</p>';
+      selectContents(document.querySelector('p')!);
+      const stop = startCopyCleaner(document, {});
+
+      const first = createCopyEvent();
+      document.querySelector('p')!.dispatchEvent(first.event);
+      stop();
+      const second = createCopyEvent();
+      document.querySelector('p')!.dispatchEvent(second.event);
+
+      expect(first.data.get('text/plain')).toBe('https://example.com/');
+      expect(second.data.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit Tests for the External Messaging API
+ *
+ * Tests for the API offered to other extensions and web pages:
+ * - Sender allowlist
+ * - Request validation, versioning and error codes
+ * - clean, analyze, cleanBatch and getRules actions
+ */
+
+import { describe, test, expect, beforeEach } from 'vitest';
+
+import { EXTERNAL_API } from '../../utils/config';
+import {
+  getExternalApiAllowlist,
+  handleExternalRequest,
+  isAllowedSender,
+  EXTERNAL_API_ERRORS,
+  type ExternalApiResponse,
+} from '../../utils/external-api';
+
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const ORIGIN = 'https://app.example.com';
+const runtime = chrome.runtime as any;
+const EXTENSION_SENDER = { id: EXTENSION_ID, origin: `chrome-extension://${EXTENSION_ID}` };
+const TRACKED_URL = 'https://example.com/post?utm_source=news&fbclid=abc&id=3';
+
+/**
+ * Sends a request from the allowlisted extension
+ */
+const request = (message: unknown): ExternalApiResponse => handleExternalRequest(message, EXTENSION_SENDER);
+
+/**
+ * Reads the error code of a response
+ */
+const errorCode = (response: ExternalApiResponse) => (response.ok ? null : response.error.code);
+
+describe('External API', () => {
+  beforeEach(() => {
+    // As built with CLEAN_URL_API_EXTENSION_IDS and CLEAN_URL_API_ORIGINS set
+    runtime.getManifest.mockReturnValue({
+      externally_connectable: { ids: [EXTENSION_ID], matches: [`${ORIGIN}/*`] },
+    });
+  });
+
+  describe('getExternalApiAllowlist function', () => {
+    test('should read the allowlists from the manifest', () => {
+      expect(getExternalApiAllowlist()).toEqual({ ids: [EXTENSION_ID], origins: [ORIGIN] });
+    });
+
+    test('should be empty when the extension was built without allowlists', () => {
+      runtime.getManifest.mockReturnValue({ externally_connectable: { ids: [], matches: [] } });
+
+      expect(getExternalApiAllowlist()).toEqual({ ids: [], origins: [] });
+      expect(isAllowedSender(EXTENSION_SENDER)).toBe(false);
+      expect(errorCode(request({ version: 1, action: 'clean', url: TRACKED_URL }))).toBe(EXTERNAL_API_ERRORS.FORBIDDEN);
+    });
+
+    test('should stay closed if the manifest key is missing', () => {
+      runtime.getManifest.mockReturnValue({});
+
+      expect(isAllowedSender(EXTENSION_SENDER)).toBe(false);
+    });
+  });
+
+  describe('isAllowedSender function', () => {
+    test('should allow allowlisted extensions and origins', () => {
+      expect(isAllowedSender(EXTENSION_SENDER)).toBe(true);
+      expect(isAllowedSender({ id: EXTENSION_ID })).toBe(true);
+      expect(isAllowedSender({ origin: ORIGIN, url: `${ORIGIN}/page` })).toBe(true);
+    });
+
+    test('should reject everyone else', () => {
+      expect(isAllowedSender({ id: 'other', origin: 'chrome-extension://other' })).toBe(false);
+      expect(isAllowedSender({ origin: 'https://evil.example.com' })).toBe(false);
+      expect(isAllowedSender({})).toBe(false);
+    });
+
+    test('should not let a web page pass as an extension', () => {
+      expect(isAllowedSender({ id: EXTENSION_ID, origin: 'https://evil.example.com' })).toBe(false);
+    });
+  });
+
+  describe('request validation', () => {
+    test('should refuse senders that are not allowlisted', () => {
+      const response = handleExternalRequest({ version: 1, action: 'getRules' }, { origin: 'https://evil.example.com' });
+
+      expect(errorCode(response)).toBe(EXTERNAL_API_ERRORS.FORBIDDEN);
+    });
+
+    test('should reject malformed requests', () => {
+      expect(errorCode(request(null))).toBe(EXTERNAL_API_ERRORS.INVALID_REQUEST);
+      expect(errorCode(request('clean'))).toBe(EXTERNAL_API_ERRORS.INVALID_REQUEST);
+      expect(errorCode(request([]))).toBe(EXTERNAL_API_ERRORS.INVALID_REQUEST);
+      expect(errorCode(request({ action: 'clean', url: TRACKED_URL }))).toBe(EXTERNAL_API_ERRORS.INVALID_REQUEST);
+    });
+
+    test('should reject other API versions', () => {
+      expect(errorCode(request({ version: 2, action: 'getRules' }))).toBe(EXTERNAL_API_ERRORS.UNSUPPORTED_VERSION);
+    });
+
+    test('should reject unknown actions', () => {
+      const response = request({ version: 1, action: 'deleteEverything' });
+
+      expect(errorCode(response)).toBe(EXTERNAL_API_ERRORS.UNKNOWN_ACTION);
+      expect(response).toMatchObject({ version: 1, ok: false, error: { message: expect.stringContaining('cleanBatch') } });
+    });
+  });
+
+  describe('clean and analyze actions', () => {
+    test('clean should return the cleaned URL and removed parameters', () => {
+      const response = request({ version: 1, action: 'clean', url: TRACKED_URL });
+
+      expect(response).toMatchObject({
+        version: 1,
+        ok: true,
+        result: {
+          originalUrl: TRACKED_URL,
+          cleanedUrl: 'https://example.com/post?id=3',
+          hasChanges: true,
+          removedCount: 2,
+        },
+      });
+      expect(response.ok && response.result).not.toHaveProperty('summary');
+    });
+
+    test('analyze should add the per-category summary', () => {
+      const response = request({ version: 1, action: 'analyze', url: TRACKED_URL });
+
+      expect(response).toMatchObject({ ok: true, result: { summary: { utm: 1, social: 1, ads: 0 } } });
+    });
+
+    test('should report invalid URLs', () => {
+      expect(errorCode(request({ version: 1, action: 'clean' }))).toBe(EXTERNAL_API_ERRORS.INVALID_URL);
+      expect(errorCode(request({ version: 1, action: 'clean', url: 42 }))).toBe(EXTERNAL_API_ERRORS.INVALID_URL);
+      expect(errorCode(request({ version: 1, action: 'analyze', url: 'not a url' }))).toBe(EXTERNAL_API_ERRORS.INVALID_URL);
+    });
+
+    test('should use the cleaning options of the user', () => {
+      const message = { version: 1, action: 'clean', url: 'https://example.com/?si=abc' };
+
+      expect(handleExternalRequest(message, EXTENSION_SENDER, { profile: 'standard' })).toMatchObject({ result: { hasChanges: false } });
+      expect(handleExternalRequest(message, EXTENSION_SENDER, { profile: 'aggressive' })).toMatchObject({ result: { hasChanges: true } });
+    });
+  });
+
+  describe('cleanBatch action', () => {
+    test('should clean every URL, reporting errors per entry', () => {
+      const response = request({ version: 1, action: 'cleanBatch', urls: [TRACKED_URL, 'not a url', 'https://clean.com/'] });
+
+      expect(response.ok).toBe(true);
+      expect(response.ok && response.result).toEqual([
+        { ok: true, result: expect.objectContaining({ cleanedUrl: 'https://example.com/post?id=3' }) },
+        { ok: false, error: { code: EXTERNAL_API_ERRORS.INVALID_URL, message: expect.any(String) } },
+        { ok: true, result: expect.objectContaining({ cleanedUrl: 'https://clean.com/', hasChanges: false }) },
+      ]);
+    });
+
+    test('should require an array of URLs', () => {
+      expect(errorCode(request({ version: 1, action: 'cleanBatch', urls: TRACKED_URL }))).toBe(EXTERNAL_API_ERRORS.INVALID_REQUEST);
+    });
+
+    test('should limit the batch size', () => {
+      const urls = Array.from({ length: EXTERNAL_API.MAX_BATCH_SIZE + 1 }, () => TRACKED_URL);
+
+      expect(errorCode(request({ version: 1, action: 'cleanBatch', urls }))).toBe(EXTERNAL_API_ERRORS.BATCH_TOO_LARGE);
+    });
+  });
+
+  describe('getRules action', () => {
+    test('should return the rules in a form that survives JSON messaging', () => {
+      const response = request({ version: 1, action: 'getRules' });
+
+      expect(response.ok).toBe(true);
+      const result = response.ok ? response.result as any : null;
+      expect(result.rules).toContainEqual(expect.objectContaining({ id: 'fbclid', params: ['fbclid'], vendor: 'Meta' }));
+      expect(result.pathRules[0].pattern).toEqual(expect.stringMatching(/^\/.+\/[a-z]*$/));
+      expect(JSON.parse(JSON.stringify(result))).toEqual(result);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for the Browsing History Privacy Report
+ *
+ * Tests for the history report:
+ * - Finding tracked history entries
+ * - Breaking them down by category, vendor and site
+ * - Deleting and rewriting tracked entries
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import {
+  buildHistoryReport,
+  deleteHistoryEntries,
+  findTrackedHistoryEntries,
+  rewriteHistoryEntries,
+  scanHistory,
+  HISTORY_SEARCH_LIMIT,
+} from '../../utils/history-report';
+
+const history = chrome.history as any;
+
+const ITEMS = [
+  { id: '1', url: 'https://www.example.com/post?utm_source=news&utm_medium=email', title: 'Post', visitCount: 3, lastVisitTime: 3 },
+  { id: '2', url: 'https://example.com/other?fbclid=abc&utm_campaign=spring', title: 'Other', visitCount: 1, lastVisitTime: 2 },
+  { id: '3', url: 'https://shop.com/item?gclid=1', title: 'Item', visitCount: 1, lastVisitTime: 1 },
+  { id: '4', url: 'https://clean.com/page', title: 'Clean', visitCount: 8, lastVisitTime: 4 },
+  { id: '5', url: 'chrome://settings/?utm_source=x', title: 'Settings', visitCount: 1, lastVisitTime: 5 },
+] as chrome.history.HistoryItem[];
+
+describe('History Report', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('findTrackedHistoryEntries function', () => {
+    test('should keep only web pages with tracking parameters', () => {
+      const entries = findTrackedHistoryEntries(ITEMS);
+
+      expect(entries.map(({ url, domain, cleanedUrl }) => ({ url, domain, cleanedUrl }))).toEqual([
+        { url: ITEMS[0].url, domain: 'example.com', cleanedUrl: 'https://www.example.com/post' },
+        { url: ITEMS[1].url, domain: 'example.com', cleanedUrl: 'https://example.com/other' },
+        { url: ITEMS[2].url, domain: 'shop.com', cleanedUrl: 'https://shop.com/item' },
+      ]);
+      expect(entries[0].summary.utm).toBe(2);
+    });
+
+    test('should not count pages that are only unwrapped or canonicalized as tracked', () => {
+      const items = [
+        { id: '6', url: 'https://www.google.com/url?q=https%3A%2F%2Fexample.com%2Fa', title: 'Redirect' },
+        { id: '7', url: 'https://www.amazon.com/Some-Title/dp/B0XXXXXXXX', title: 'Product' },
+        { id: '8', url: 'https://www.google.com/url?q=https%3A%2F%2Fexample.com%2Fb%3Futm_source%3Dx', title: 'Tracked' },
+      ] as chrome.history.HistoryItem[];
+
+      const entries = findTrackedHistoryEntries(items, { canonicalize: true });
+      const report = buildHistoryReport(entries, items.length);
+
+      expect(entries.map(entry => entry.cleanedUrl)).toEqual(['https://example.com/b']);
+      expect(report.trackedCount).toBe(1);
+      expect(report.vendors.reduce((count, vendor) => count + vendor.pageCount, 0)).toBe(report.trackedCount);
+    });
+  });
+
+  describe('buildHistoryReport function', () => {
+    test('should sum up the categories of all tracked pages', () => {
+      const report = buildHistoryReport(findTrackedHistoryEntries(ITEMS), ITEMS.length);
+
+      expect(report).toMatchObject({
+        scannedCount: 5,
+        trackedCount: 3,
+        categories: { utm: 3, social: 1, ads: 1, affiliate: 0, email: 0, analytics: 0 },
+      });
+    });
+
+    test('should rank vendors by tracked pages, counting a page once per vendor', () => {
+      const report = buildHistoryReport(findTrackedHistoryEntries(ITEMS), ITEMS.length);
+
+      expect(report.vendors).toEqual([
+        { vendor: 'UTM', pageCount: 2, domains: [{ name: 'example.com', count: 2 }] },
+        { vendor: 'Google Ads', pageCount: 1, domains: [{ name: 'shop.com', count: 1 }] },
+        { vendor: 'Meta', pageCount: 1, domains: [{ name: 'example.com', count: 1 }] },
+      ]);
+    });
+
+    test('should rank sites with the vendors seen on them', () => {
+      const report = buildHistoryReport(findTrackedHistoryEntries(ITEMS), ITEMS.length);
+
+      expect(report.domains).toEqual([
+        { domain: 'example.com', pageCount: 2, vendors: ['Meta', 'UTM'] },
+        { domain: 'shop.com', pageCount: 1, vendors: ['Google Ads'] },
+      ]);
+    });
+
+    test('should report an empty history', () => {
+      expect(buildHistoryReport([], 0)).toMatchObject({ trackedCount: 0, vendors: [], domains: [] });
+    });
+  });
+
+  describe('scanHistory function', () => {
+    test('should search the history of the range', async () => {
+      history.search.mockResolvedValueOnce(ITEMS);
+
+      const report = await scanHistory({ startTime: 100, endTime: 200 });
+
+      expect(history.search).toHaveBeenCalledWith({
+        text: '',
+        startTime: 100,
+        endTime: 200,
+        maxResults: HISTORY_SEARCH_LIMIT,
+      });
+      expect(report.trackedCount).toBe(3);
+      expect(report.truncated).toBe(false);
+    });
+
+    test('should flag ranges with more entries than one scan reads', async () => {
+      history.search.mockResolvedValueOnce(Array.from({ length: HISTORY_SEARCH_LIMIT }, () => ITEMS[3]));
+
+      expect((await scanHistory({ startTime: 0, endTime: 1 })).truncated).toBe(true);
+    });
+  });
+
+  describe('cleaning up history', () => {
+    test('deleteHistoryEntries should delete the tracked URLs', async () => {
+      const entries = findTrackedHistoryEntries(ITEMS);
+
+      expect(await deleteHistoryEntries(entries)).toBe(3);
+      expect(history.deleteUrl).toHaveBeenCalledWith({ url: ITEMS[0].url });
+      expect(history.addUrl).not.toHaveBeenCalled();
+    });
+
+    test('rewriteHistoryEntries should add the cleaned URL before deleting the tracked one', async () => {
+      const [entry] = findTrackedHistoryEntries(ITEMS);
+
+      expect(await rewriteHistoryEntries([entry])).toBe(1);
+      expect(history.addUrl).toHaveBeenCalledWith({ url: 'https://www.example.com/post' });
+      expect(history.deleteUrl).toHaveBeenCalledWith({ url: entry.url });
+      expect(history.addUrl.mock.invocationCallOrder[0]).toBeLessThan(history.deleteUrl.mock.invocationCallOrder[0]);
+    });
+
+    test('rewriteHistoryEntries should keep the tracked entry when the clean one could not be added', async () => {
+      history.addUrl.mockRejectedValueOnce(new Error('Invalid URL'));
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(await rewriteHistoryEntries(findTrackedHistoryEntries(ITEMS).slice(0, 1))).toBe(0);
+      expect(history.deleteUrl).not.toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for Page Link Cleaning
+ *
+ * Tests for the link-cleaner content script logic:
+ * - Rewriting <a href> values and keeping the original
+ * - Same-origin opt-out
+ * - Links added or changed later (MutationObserver)
+ * - Stopping and restoring
+ */
+
+import { describe, test, expect, afterEach } from 'vitest';
+
+import {
+  cleanLink,
+  cleanLinksIn,
+  startLinkCleaner,
+  ORIGINAL_HREF_ATTRIBUTE,
+  type LinkCleanerOptions,
+} from '../../utils/link-cleaner';
+
+const OPTIONS: LinkCleanerOptions = { cleanUrlOptions: {}, skipSameOrigin: false };
+const TRACKED = 'https://example.com/article?id=1&utm_source=newsletter';
+const CLEANED = 'https://example.com/article?id=1';
+
+/**
+ * Adds a link to the document body
+ */
+const addLink = (href: string) => {
+  const anchor = document.createElement('a');
+  anchor.setAttribute('href', href);
+  document.body.appendChild(anchor);
+  return anchor;
+};
+
+/**
+ * Lets pending MutationObserver callbacks run
+ */
+const flushMutations = async () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Link Cleaner', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  // ============================================================================
+  // cleanLink / cleanLinksIn Functions
+  // ============================================================================
+  describe('cleanLink function', () => {
+    test('should rewrite tracked links and keep the original href', () => {
+      const anchor = addLink(TRACKED);
+
+      expect(cleanLink(anchor, OPTIONS)).toBe(true);
+      expect(anchor.href).toBe(CLEANED);
+      expect(anchor.getAttribute(ORIGINAL_HREF_ATTRIBUTE)).toBe(TRACKED);
+    });
+
+    test('should leave clean, non-web and javascript links alone', () => {
+      const links = [
+        addLink('https://example.com/clean'),
+        addLink('mailto:a@example.com?utm_source=x'),
+        addLink('javascript:void(0)'),
+        addLink('#section'),
+      ];
+
+      links.forEach((anchor) => expect(cleanLink(anchor, OPTIONS)).toBe(false));
+      expect(document.querySelectorAll(`[${ORIGINAL_HREF_ATTRIBUTE}]`)).toHaveLength(0);
+    });
+
+    test('should skip same-origin links when the site opts out', () => {
+      const sameOrigin = addLink(`${location.origin}/page?utm_source=nav`);
+      const external = addLink(TRACKED);
+      const options = { ...OPTIONS, skipSameOrigin: true };
+
+      expect(cleanLink(sameOrigin, options)).toBe(false);
+      expect(cleanLink(external, options)).toBe(true);
+    });
+
+    test('should clean relative links against the page URL', () => {
+      const anchor = addLink('/page?fbclid=abc&x=1');
+
+      cleanLink(anchor, OPTIONS);
+
+      expect(anchor.href).toBe(`${location.origin}/page?x=1`);
+    });
+
+    test('should clean every link in a subtree', () => {
+      document.body.innerHTML = `
+        <nav><a href="${TRACKED}">a</a><a href="https://example.com/">b</a></nav>
+        <a href="https://example.com/?gclid=1">c</a>`;
+
+      expect(cleanLinksIn(document, OPTIONS)).toBe(2);
+    });
+  });
+
+  // ============================================================================
+  // startLinkCleaner Function
+  // ============================================================================
+  describe('startLinkCleaner function', () => {
+    test('should clean existing links and links added later', async () => {
+      const existing = addLink(TRACKED);
+      const stop = startLinkCleaner(document, OPTIONS);
+
+      const container = document.createElement('div');
+      container.innerHTML = `<a href="https://example.com/?fbclid=1">later</a>`;
+      document.body.appendChild(container);
+      await flushMutations();
+
+      expect(existing.href).toBe(CLEANED);
+      expect(container.querySelector('a')!.href).toBe('https://example.com/');
+      stop();
+    });
+
+    test('should clean hrefs the page changes later', async () => {
+      const anchor = addLink('https://example.com/');
+      const stop = startLinkCleaner(document, OPTIONS);
+
+      anchor.setAttribute('href', TRACKED);
+      await flushMutations();
+
+      expect(anchor.href).toBe(CLEANED);
+      expect(anchor.getAttribute(ORIGINAL_HREF_ATTRIBUTE)).toBe(TRACKED);
+      stop();
+    });
+
+    test('should restore original hrefs and stop watching when stopped', async () => {
+      const anchor = addLink(TRACKED);
+      const stop = startLinkCleaner(document, OPTIONS);
+
+      stop();
+      const later = addLink(TRACKED);
+      await flushMutations();
+
+      expect(anchor.getAttribute('href')).toBe(TRACKED);
+      expect(anchor.hasAttribute(ORIGINAL_HREF_ATTRIBUTE)).toBe(false);
+      expect(later.getAttribute('href')).toBe(TRACKED);
+    });
+  });
+});
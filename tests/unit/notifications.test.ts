@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Notifications
+ *
+ * Tests for cleaning notifications:
+ * - Respecting the notifications setting
+ * - Undo, Copy and Close duplicates buttons
+ * - Looking up button actions after the service worker restarted
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import {
+  forgetNotification,
+  getNotificationAction,
+  showDuplicateTabsNotification,
+  showNotification,
+  NOTIFICATION_BUTTONS,
+} from '../../utils/notifications';
+import { DEFAULT_SETTINGS } from '../../utils/settings';
+
+const notifications = chrome.notifications as any;
+const storage = chrome.storage as any;
+
+const CLEANING = {
+  tabId: 7,
+  originalUrl: 'https://example.com/?utm_source=x',
+  cleanedUrl: 'https://example.com/',
+};
+
+describe('Notifications', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storage.local.get.mockResolvedValue({});
+  });
+
+  describe('showNotification function', () => {
+    test('should show Undo and Copy buttons and remember the cleaning', async () => {
+      const id = await showNotification('URL Cleaned!', 'Removed 1 tracking parameters', CLEANING);
+
+      expect(id).toBe('notification-1');
+      expect(notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'URL Cleaned!',
+        buttons: [{ title: NOTIFICATION_BUTTONS.undo }, { title: NOTIFICATION_BUTTONS.copy }],
+      }));
+      expect(storage.session.set).toHaveBeenCalledWith({
+        'notification:notification-1': { actions: ['undo', 'copy'], cleaning: CLEANING },
+      });
+    });
+
+    test('should only offer Copy when no tab was changed', async () => {
+      await showNotification('URL Cleaned!', 'Removed 1 tracking parameters', { ...CLEANING, tabId: undefined });
+
+      expect(notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+        buttons: [{ title: NOTIFICATION_BUTTONS.copy }],
+      }));
+    });
+
+    test('should show plain notifications without buttons', async () => {
+      await showNotification('Clean URL', 'No tracking parameters found in this URL');
+
+      expect(notifications.create).toHaveBeenCalledWith(expect.objectContaining({ buttons: [] }));
+      expect(storage.session.set).not.toHaveBeenCalled();
+    });
+
+    test('should show nothing when notifications are turned off', async () => {
+      storage.local.get.mockResolvedValue({ settings: { ...DEFAULT_SETTINGS, notifications: false } });
+
+      expect(await showNotification('URL Cleaned!', 'Removed 1 tracking parameters', CLEANING)).toBeNull();
+      expect(notifications.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('showDuplicateTabsNotification function', () => {
+    const DUPLICATES = [{ url: 'https://example.com/', keepTabId: 1, closeTabIds: [2, 3] }];
+
+    test('should offer to close the duplicates', async () => {
+      await showDuplicateTabsNotification('Tabs Cleaned', 'Cleaned 2 of 3 tabs', DUPLICATES);
+
+      expect(notifications.create).toHaveBeenCalledWith(expect.objectContaining({
+        buttons: [{ title: NOTIFICATION_BUTTONS['close-duplicates'] }],
+      }));
+      expect(storage.session.set).toHaveBeenCalledWith({
+        'notification:notification-1': { actions: ['close-duplicates'], duplicates: DUPLICATES },
+      });
+    });
+
+    test('should show a plain report without duplicates', async () => {
+      await showDuplicateTabsNotification('Tabs Cleaned', 'Cleaned 2 of 3 tabs', []);
+
+      expect(notifications.create).toHaveBeenCalledWith(expect.objectContaining({ buttons: [] }));
+      expect(storage.session.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getNotificationAction function', () => {
+    test('should map button indexes to the stored actions', async () => {
+      storage.session.get.mockResolvedValue({
+        'notification:n1': { actions: ['undo', 'copy'], cleaning: CLEANING },
+      });
+
+      expect(await getNotificationAction('n1', 0)).toEqual({ action: 'undo', cleaning: CLEANING });
+      expect(await getNotificationAction('n1', 1)).toEqual({ action: 'copy', cleaning: CLEANING });
+      expect(await getNotificationAction('n1', 2)).toBeNull();
+    });
+
+    test('should return the duplicate groups for Close duplicates', async () => {
+      const duplicates = [{ url: 'https://example.com/', keepTabId: 1, closeTabIds: [2] }];
+      storage.session.get.mockResolvedValue({
+        'notification:n2': { actions: ['close-duplicates'], duplicates },
+      });
+
+      expect(await getNotificationAction('n2', 0)).toEqual({ action: 'close-duplicates', duplicates });
+    });
+
+    test('should return null for unknown notifications', async () => {
+      storage.session.get.mockResolvedValue({});
+
+      expect(await getNotificationAction('gone', 0)).toBeNull();
+    });
+  });
+
+  test('forgetNotification should remove the stored cleaning', async () => {
+    await forgetNotification('n1');
+
+    expect(storage.session.remove).toHaveBeenCalledWith('notification:n1');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests for the Address Bar Keyword
+ *
+ * Tests for the "clean" omnibox keyword:
+ * - Live suggestion with the cleaned URL and removed count
+ * - Escaping URLs for the omnibox XML
+ * - Opening the cleaned URL where Chrome asks for it
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import {
+  cleanOmniboxInput,
+  describeOmniboxInput,
+  escapeOmniboxText,
+  openOmniboxInput,
+  OMNIBOX_HINT,
+} from '../../utils/omnibox';
+
+const tabs = chrome.tabs as any;
+
+describe('Omnibox', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('cleanOmniboxInput function', () => {
+    test('should clean a pasted URL with surrounding whitespace', () => {
+      const result = cleanOmniboxInput('  https://example.com/post?utm_source=chat&id=1 \n');
+
+      expect(result?.cleanedUrl).toBe('https://example.com/post?id=1');
+    });
+
+    test('should ignore text that is not a web URL', () => {
+      expect(cleanOmniboxInput('')).toBeNull();
+      expect(cleanOmniboxInput('example.com?utm_source=x')).toBeNull();
+      expect(cleanOmniboxInput('javascript:alert(1)')).toBeNull();
+    });
+  });
+
+  describe('describeOmniboxInput function', () => {
+    test('should show the cleaned URL and the number of removed parameters', () => {
+      expect(describeOmniboxInput('https://example.com/?utm_source=a&utm_medium=b')).toBe(
+        'Open <url>https://example.com/</url> <dim>- 2 tracking parameters removed</dim>'
+      );
+      expect(describeOmniboxInput('https://example.com/?fbclid=abc')).toContain('1 tracking parameter removed');
+    });
+
+    test('should say when the URL is already clean', () => {
+      expect(describeOmniboxInput('https://example.com/page')).toBe(
+        'Open <url>https://example.com/page</url> <dim>- already clean</dim>'
+      );
+    });
+
+    test('should escape the URL for the omnibox XML', () => {
+      expect(describeOmniboxInput('https://example.com/?a=1&b=2&utm_source=x')).toContain(
+        '<url>https://example.com/?a=1&amp;b=2</url>'
+      );
+    });
+
+    test('should show a hint until a URL is typed', () => {
+      expect(describeOmniboxInput('exam')).toBe(OMNIBOX_HINT);
+    });
+  });
+
+  test('escapeOmniboxText should escape XML special characters', () => {
+    expect(escapeOmniboxText(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+
+  describe('openOmniboxInput function', () => {
+    const TRACKED = 'https://example.com/post?utm_source=chat';
+
+    test('should open the cleaned URL in the current tab', async () => {
+      expect(await openOmniboxInput(TRACKED, 'currentTab')).toBe('https://example.com/post');
+      expect(tabs.update).toHaveBeenCalledWith({ url: 'https://example.com/post' });
+    });
+
+    test('should open the cleaned URL in a new tab when asked', async () => {
+      await openOmniboxInput(TRACKED, 'newForegroundTab');
+      await openOmniboxInput(TRACKED, 'newBackgroundTab');
+
+      expect(tabs.create).toHaveBeenNthCalledWith(1, { url: 'https://example.com/post', active: true });
+      expect(tabs.create).toHaveBeenNthCalledWith(2, { url: 'https://example.com/post', active: false });
+    });
+
+    test('should open nothing for text that is not a URL', async () => {
+      expect(await openOmniboxInput('hello', 'currentTab')).toBeNull();
+      expect(tabs.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Unit Tests for Redirect Wrapper Unwrapping
+ *
+ * Tests for extracting destinations from redirectors:
+ * - Search engines (Google, Bing, DuckDuckGo)
+ * - Social networks (Facebook, Reddit, Tumblr, ...)
+ * - Email security safe links (Microsoft Defender, Proofpoint, Mimecast)
+ * - Nested wrappers and unsafe targets
+ * - Integration with cleanUrl
+ */
+
+import { describe, test, expect } from 'vitest';
+
+import { cleanUrl, analyzeUrl } from '../../utils/clean-url-logic';
+import {
+  unwrapRedirect,
+  unwrapRedirectChain,
+  decodeBase64Url,
+  decodeProofpointV2,
+  decodeProofpointV3,
+  MAX_UNWRAP_DEPTH,
+} from '../../utils/redirect-unwrap';
+
+const TARGET = 'https://example.com/article?utm_source=bing&id=7';
+const ENCODED_TARGET = encodeURIComponent(TARGET);
+
+describe('Redirect Unwrapping', () => {
+  // ============================================================================
+  // Known Redirect Wrappers
+  // ============================================================================
+  describe('unwrapRedirect function', () => {
+    test.each([
+      ['google', `https://www.google.com/url?sa=t&q=${ENCODED_TARGET}&usg=AOv`],
+      ['google', `https://www.google.co.uk/url?url=${ENCODED_TARGET}`],
+      ['facebook', `https://l.facebook.com/l.php?u=${ENCODED_TARGET}&h=AT0`],
+      ['facebook', `https://lm.facebook.com/l.php?u=${ENCODED_TARGET}`],
+      ['instagram', `https://l.instagram.com/?u=${ENCODED_TARGET}&e=AT1`],
+      ['reddit', `https://out.reddit.com/t3_abc?url=${ENCODED_TARGET}&token=x`],
+      ['duckduckgo', `https://duckduckgo.com/l/?uddg=${ENCODED_TARGET}&rut=1`],
+      ['tumblr', `https://t.umblr.com/redirect?z=${ENCODED_TARGET}&t=abc`],
+      [
+        'bing',
+        'https://www.bing.com/ck/a?!&&p=abc&u=a1aHR0cHM6Ly9leGFtcGxlLmNvbS9hcnRpY2xlP3V0bV9zb3VyY2U9YmluZyZpZD03&ntb=1',
+      ],
+      ['youtube', `https://www.youtube.com/redirect?event=video&q=${ENCODED_TARGET}`],
+      ['linkedin', `https://www.linkedin.com/redir/redirect?url=${ENCODED_TARGET}`],
+    ])('should unwrap %s redirects', (wrapper, url) => {
+      expect(unwrapRedirect(url)).toEqual({ wrapper, target: TARGET });
+    });
+
+    test('should ignore regular pages on redirector hosts', () => {
+      expect(unwrapRedirect(`https://www.google.com/search?q=${ENCODED_TARGET}`)).toBe(null);
+      expect(unwrapRedirect('https://www.facebook.com/l.php?u=https://example.com')).toBe(null);
+    });
+
+    test('should ignore look-alike hosts that are not the redirector', () => {
+      expect(unwrapRedirect(`https://google.evil.com/url?q=${ENCODED_TARGET}`)).toBe(null);
+      expect(unwrapRedirect(`https://www.google.github.io/url?q=${ENCODED_TARGET}`)).toBe(null);
+    });
+
+    test('should never unwrap to non-http targets', () => {
+      expect(unwrapRedirect('https://www.google.com/url?q=javascript:alert(1)')).toBe(null);
+      expect(unwrapRedirect('https://l.facebook.com/l.php?u=data:text/html,hi')).toBe(null);
+    });
+
+    test('should ignore Bing values that are not a1-prefixed base64', () => {
+      expect(unwrapRedirect(`https://www.bing.com/ck/a?u=${ENCODED_TARGET}`)).toBe(null);
+      expect(unwrapRedirect('https://www.bing.com/ck/a?u=a1!!!')).toBe(null);
+    });
+
+    test('should return null for invalid URLs', () => {
+      expect(unwrapRedirect('not-a-url')).toBe(null);
+    });
+  });
+
+  // ============================================================================
+  // Email Security Safe Links
+  // ============================================================================
+  describe('Safe links decoding', () => {
+    test('should unwrap Microsoft Defender Safe Links', () => {
+      const url = `https://nam11.safelinks.protection.outlook.com/?url=${ENCODED_TARGET}&data=05%7C01%7C&sdata=abc%3D&reserved=0`;
+
+      expect(unwrapRedirect(url)).toEqual({
+        wrapper: 'microsoft-safelinks',
+        target: TARGET,
+      });
+    });
+
+    test('should unwrap Proofpoint URL Defense v1', () => {
+      const url = `https://urldefense.proofpoint.com/v1/url?u=${encodeURIComponent(ENCODED_TARGET)}&k=abc&r=def`;
+
+      expect(unwrapRedirect(url)).toEqual({ wrapper: 'proofpoint-v1', target: TARGET });
+    });
+
+    test('should unwrap Proofpoint URL Defense v2', () => {
+      const url =
+        'https://urldefense.proofpoint.com/v2/url?u=https-3A__example.com_article-3Futm-5Fsource-3Dbing-26id-3D7&d=DwMFaQ&c=abc&r=def&m=ghi&s=jkl&e=';
+
+      expect(unwrapRedirect(url)).toEqual({ wrapper: 'proofpoint-v2', target: TARGET });
+    });
+
+    test('should unwrap Proofpoint URL Defense v3', () => {
+      const url =
+        'https://urldefense.com/v3/__https://google.com:443/search?q=a*test&gs=ps__;Kw!!-612Flbf0JvQ3kNJkRi5Jg!Ue6tQudNKaShHg93trcdjqDP8se2ySE65jyCIe2K1D_uNjZ1Lnf6YLQERujngZv9UWf66ujQIQ$';
+
+      expect(unwrapRedirect(url)).toEqual({
+        wrapper: 'proofpoint-v3',
+        target: 'https://google.com/search?q=a+test&gs=ps',
+      });
+    });
+
+    test('should decode Proofpoint v2 encoding', () => {
+      expect(decodeProofpointV2('https-3A__example.com_a-3Fb-3D1')).toBe(
+        'https://example.com/a?b=1'
+      );
+    });
+
+    test('should decode Proofpoint v3 single and run-length tokens', () => {
+      // "**B" is a run of 3 characters taken from the base64 tail ("+++")
+      expect(
+        decodeProofpointV3('https://urldefense.com/v3/__https://example.com/a**Bb__;Kysr!!x$')
+      ).toBe('https://example.com/a+++b');
+      expect(
+        decodeProofpointV3('https://urldefense.com/v3/__https:/example.com/__;!!x$')
+      ).toBe('https://example.com/');
+      expect(decodeProofpointV3('https://urldefense.com/v3/broken')).toBe(null);
+    });
+
+    test.each([
+      `https://protect-us.mimecast.com/s/AbCdEfGh?url=${ENCODED_TARGET}`,
+      `https://protect-eu.mimecast.com/s/AbCdEfGh?domain=example.com&url=${ENCODED_TARGET}`,
+      `https://url.uk.m.mimecastprotect.com/s/AbCdEfGh?url=${ENCODED_TARGET}&domain=example.com`,
+    ])('should unwrap Mimecast links that embed the target: %s', (url) => {
+      expect(unwrapRedirect(url)).toEqual({ wrapper: 'mimecast', target: TARGET });
+    });
+
+    test('should leave opaque Mimecast rewrites unchanged', () => {
+      // domain= names the site only - the page is known to Mimecast's servers alone
+      expect(
+        unwrapRedirect('https://protect-us.mimecast.com/s/AbCdEfGh?domain=example.com')
+      ).toBe(null);
+      expect(unwrapRedirect(`https://mimecast.evil.com/s/x?url=${ENCODED_TARGET}`)).toBe(null);
+    });
+
+    test('should clean the decoded target with the normal rules', () => {
+      const url = `https://eur01.safelinks.protection.outlook.com/?url=${ENCODED_TARGET}&data=05`;
+      const result = cleanUrl(url);
+
+      expect(result.cleanedUrl).toBe('https://example.com/article?id=7');
+      expect(result.removedCount).toBe(1);
+      expect(result.unwrappedFrom).toEqual([{ url, wrapper: 'microsoft-safelinks' }]);
+    });
+  });
+
+  // ============================================================================
+  // Nested Wrappers
+  // ============================================================================
+  describe('unwrapRedirectChain function', () => {
+    test('should unwrap nested wrappers outermost first', () => {
+      const facebook = `https://l.facebook.com/l.php?u=${ENCODED_TARGET}`;
+      const google = `https://www.google.com/url?q=${encodeURIComponent(facebook)}`;
+
+      const { url, unwrappedFrom } = unwrapRedirectChain(google);
+
+      expect(url).toBe(TARGET);
+      expect(unwrappedFrom).toEqual([
+        { url: google, wrapper: 'google' },
+        { url: facebook, wrapper: 'facebook' },
+      ]);
+    });
+
+    test('should stop after MAX_UNWRAP_DEPTH wrappers', () => {
+      let url = TARGET;
+      for (let i = 0; i < MAX_UNWRAP_DEPTH + 2; i++) {
+        url = `https://www.google.com/url?q=${encodeURIComponent(url)}`;
+      }
+
+      const result = unwrapRedirectChain(url);
+
+      expect(result.unwrappedFrom).toHaveLength(MAX_UNWRAP_DEPTH);
+      expect(result.url).toContain('https://www.google.com/url');
+    });
+
+    test('should return the input unchanged when not wrapped', () => {
+      expect(unwrapRedirectChain(TARGET)).toEqual({ url: TARGET, unwrappedFrom: [] });
+    });
+  });
+
+  describe('decodeBase64Url helper function', () => {
+    test('should decode unpadded base64url', () => {
+      expect(decodeBase64Url('aHR0cHM6Ly9leGFtcGxlLmNvbS8')).toBe('https://example.com/');
+    });
+
+    test('should return null for invalid input', () => {
+      expect(decodeBase64Url('%%%')).toBe(null);
+    });
+  });
+
+  // ============================================================================
+  // cleanUrl Integration
+  // ============================================================================
+  describe('cleanUrl integration', () => {
+    test('should clean the unwrapped target and report the chain', () => {
+      const url = `https://www.google.com/url?sa=t&q=${ENCODED_TARGET}&ved=2ah`;
+      const result = cleanUrl(url);
+
+      expect(result.success).toBe(true);
+      expect(result.originalUrl).toBe(url);
+      expect(result.cleanedUrl).toBe('https://example.com/article?id=7');
+      expect(result.removedParams).toEqual([
+        expect.objectContaining({ key: 'utm_source', value: 'bing' }),
+      ]);
+      expect(result.unwrappedFrom).toEqual([{ url, wrapper: 'google' }]);
+      expect(result.hasChanges).toBe(true);
+    });
+
+    test('should report changes when only the wrapper was removed', () => {
+      const result = cleanUrl(
+        `https://duckduckgo.com/l/?uddg=${encodeURIComponent('https://example.com/')}`
+      );
+
+      expect(result.cleanedUrl).toBe('https://example.com/');
+      expect(result.removedCount).toBe(0);
+      expect(result.hasChanges).toBe(true);
+    });
+
+    test('should leave wrappers alone when unwrapRedirects is false', () => {
+      const url = `https://www.google.com/url?q=${ENCODED_TARGET}`;
+      const result = cleanUrl(url, { unwrapRedirects: false });
+
+      expect(result.cleanedUrl).toBe(url);
+      expect(result.unwrappedFrom).toEqual([]);
+      expect(result.hasChanges).toBe(false);
+    });
+
+    test('should pass options through analyzeUrl', () => {
+      const url = `https://l.facebook.com/l.php?u=${ENCODED_TARGET}`;
+
+      expect(analyzeUrl(url).unwrappedFrom).toHaveLength(1);
+      expect(analyzeUrl(url, { unwrapRedirects: false }).unwrappedFrom).toEqual([]);
+    });
+  });
+});
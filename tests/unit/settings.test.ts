@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for User Settings
+ *
+ * Tests for the chrome.storage-backed settings helpers:
+ * - Defaults and merging of stored values
+ * - Partial updates
+ * - Change notifications
+ * - Mapping to cleanUrl options
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import {
+  getSettings,
+  updateSettings,
+  onSettingsChanged,
+  toCleanUrlOptions,
+  DEFAULT_SETTINGS,
+  SETTINGS_KEY,
+} from '../../utils/settings';
+
+const storage = chrome.storage as any;
+
+describe('Settings', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getSettings function', () => {
+    test('should return defaults when nothing is stored', async () => {
+      storage.local.get.mockResolvedValueOnce({});
+
+      expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+
+    test('should merge stored values over defaults', async () => {
+      storage.local.get.mockResolvedValueOnce({ [SETTINGS_KEY]: { profile: 'safe' } });
+
+      expect(await getSettings()).toEqual({ ...DEFAULT_SETTINGS, profile: 'safe' });
+    });
+
+    test('should fall back to defaults when storage fails', async () => {
+      storage.local.get.mockRejectedValueOnce(new Error('storage unavailable'));
+
+      expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+    });
+  });
+
+  describe('updateSettings function', () => {
+    test('should store the merged settings', async () => {
+      storage.local.get.mockResolvedValueOnce({});
+
+      const settings = await updateSettings({ profile: 'aggressive' });
+
+      expect(settings.profile).toBe('aggressive');
+      expect(storage.local.set).toHaveBeenCalledWith({ [SETTINGS_KEY]: settings });
+    });
+  });
+
+  describe('onSettingsChanged function', () => {
+    test('should only report changes to the settings key in local storage', () => {
+      const callback = vi.fn();
+      onSettingsChanged(callback);
+      const listener = storage.onChanged.addListener.mock.calls[0][0];
+
+      listener({ other: { newValue: 1 } }, 'local');
+      listener({ [SETTINGS_KEY]: { newValue: { profile: 'safe' } } }, 'sync');
+      listener({ [SETTINGS_KEY]: { newValue: { profile: 'safe' } } }, 'local');
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith({ ...DEFAULT_SETTINGS, profile: 'safe' });
+    });
+  });
+
+  describe('toCleanUrlOptions function', () => {
+    test('should pass the profile to cleanUrl', () => {
+      expect(toCleanUrlOptions({ ...DEFAULT_SETTINGS, profile: 'safe' })).toMatchObject({
+        profile: 'safe',
+      });
+    });
+
+    test('should pass lossless mode to cleanUrl', () => {
+      expect(toCleanUrlOptions(DEFAULT_SETTINGS).lossless).toBe(false);
+      expect(toCleanUrlOptions({ ...DEFAULT_SETTINGS, lossless: true }).lossless).toBe(true);
+    });
+
+    test('should pass canonical product URLs to cleanUrl, off by default', () => {
+      expect(DEFAULT_SETTINGS.canonicalize).toBe(false);
+      expect(toCleanUrlOptions(DEFAULT_SETTINGS).canonicalize).toBe(false);
+      expect(toCleanUrlOptions({ ...DEFAULT_SETTINGS, canonicalize: true }).canonicalize).toBe(true);
+    });
+  });
+});
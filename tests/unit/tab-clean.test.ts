@@ -0,0 +1,174 @@
+/**
+ * Unit Tests for Applying Cleaned URLs to Tabs
+ *
+ * Tests for in-place address bar cleaning:
+ * - When history.replaceState can be used
+ * - The injected replaceState function
+ * - Falling back to chrome.tabs.update
+ * - Restoring the original URL (Undo)
+ * - Cleaning URLs set by single-page apps in place only
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import {
+  applyCleanUrlToTab,
+  canReplaceInPlace,
+  cleanTabInPlace,
+  replaceHistoryUrl,
+  restoreOriginalUrl,
+} from '../../utils/tab-clean';
+
+const scripting = chrome.scripting as any;
+const tabs = chrome.tabs as any;
+
+const ORIGINAL = 'https://example.com/article?id=1&utm_source=news#comments';
+const CLEANED = 'https://example.com/article?id=1#comments';
+
+describe('Tab Cleaning', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  // ============================================================================
+  // canReplaceInPlace Function
+  // ============================================================================
+  describe('canReplaceInPlace function', () => {
+    test('should allow query and hash changes on the same page', () => {
+      expect(canReplaceInPlace(ORIGINAL, CLEANED)).toBe(true);
+      expect(canReplaceInPlace('https://a.com/#utm_source%3Dx', 'https://a.com/')).toBe(true);
+    });
+
+    test('should refuse path and origin changes', () => {
+      expect(canReplaceInPlace('https://www.amazon.com/dp/B1/ref=x', 'https://www.amazon.com/dp/B1')).toBe(false);
+      expect(canReplaceInPlace('https://www.google.com/url?q=https://a.com/', 'https://a.com/')).toBe(false);
+      expect(canReplaceInPlace('http://a.com/?fbclid=1', 'https://a.com/')).toBe(false);
+    });
+
+    test('should refuse non-web and invalid URLs', () => {
+      expect(canReplaceInPlace('file:///tmp/a.html?utm_source=x', 'file:///tmp/a.html')).toBe(false);
+      expect(canReplaceInPlace('not-a-url', CLEANED)).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // replaceHistoryUrl Function (runs in the page)
+  // ============================================================================
+  describe('replaceHistoryUrl function', () => {
+    test('should replace the URL when the page is still on the original URL', () => {
+      const from = `${location.origin}/page?utm_source=x`;
+      history.replaceState({ keep: true }, '', from);
+
+      expect(replaceHistoryUrl(from, `${location.origin}/page`)).toBe(true);
+      expect(location.href).toBe(`${location.origin}/page`);
+      expect(history.state).toEqual({ keep: true });
+    });
+
+    test('should do nothing when the page has navigated away', () => {
+      history.replaceState(null, '', '/other');
+
+      expect(replaceHistoryUrl(`${location.origin}/page?utm_source=x`, `${location.origin}/page`)).toBe(false);
+      expect(location.pathname).toBe('/other');
+    });
+  });
+
+  // ============================================================================
+  // applyCleanUrlToTab Function
+  // ============================================================================
+  describe('applyCleanUrlToTab function', () => {
+    test('should replace in place without navigating', async () => {
+      scripting.executeScript.mockResolvedValueOnce([{ result: true }]);
+
+      expect(await applyCleanUrlToTab(3, ORIGINAL, CLEANED)).toBe('replaced');
+      expect(scripting.executeScript).toHaveBeenCalledWith({
+        target: { tabId: 3 },
+        func: replaceHistoryUrl,
+        args: [ORIGINAL, CLEANED],
+      });
+      expect(tabs.update).not.toHaveBeenCalled();
+    });
+
+    test('should navigate when the script cannot run', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      scripting.executeScript.mockRejectedValueOnce(new Error('Cannot access a chrome:// URL'));
+
+      expect(await applyCleanUrlToTab(3, ORIGINAL, CLEANED)).toBe('navigated');
+      expect(tabs.update).toHaveBeenCalledWith(3, { url: CLEANED });
+      warn.mockRestore();
+    });
+
+    test('should navigate when the page is no longer on the original URL', async () => {
+      scripting.executeScript.mockResolvedValueOnce([{ result: false }]);
+
+      expect(await applyCleanUrlToTab(3, ORIGINAL, CLEANED)).toBe('navigated');
+      expect(tabs.update).toHaveBeenCalledWith(3, { url: CLEANED });
+    });
+
+    test('should navigate directly when the path changes or in-place is off', async () => {
+      expect(await applyCleanUrlToTab(3, 'https://a.com/p/amp/', 'https://a.com/p')).toBe('navigated');
+      expect(await applyCleanUrlToTab(3, ORIGINAL, CLEANED, false)).toBe('navigated');
+      expect(scripting.executeScript).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // restoreOriginalUrl Function
+  // ============================================================================
+  describe('restoreOriginalUrl function', () => {
+    test('should put the original URL back in place', async () => {
+      tabs.get.mockResolvedValueOnce({ id: 3, url: CLEANED });
+      scripting.executeScript.mockResolvedValueOnce([{ result: true }]);
+
+      expect(await restoreOriginalUrl(3, CLEANED, ORIGINAL)).toBe('replaced');
+      expect(scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({
+        args: [CLEANED, ORIGINAL],
+      }));
+    });
+
+    test('should restore a tab that is still loading the cleaned URL', async () => {
+      tabs.get.mockResolvedValueOnce({ id: 3, url: '', pendingUrl: CLEANED });
+
+      expect(await restoreOriginalUrl(3, CLEANED, ORIGINAL, false)).toBe('navigated');
+      expect(tabs.update).toHaveBeenCalledWith(3, { url: ORIGINAL });
+    });
+
+    test('should leave tabs that moved on to another URL alone', async () => {
+      tabs.get.mockResolvedValueOnce({ id: 3, url: 'https://other.com/' });
+
+      expect(await restoreOriginalUrl(3, CLEANED, ORIGINAL)).toBeNull();
+      expect(tabs.update).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================================================
+  // cleanTabInPlace Function
+  // ============================================================================
+  describe('cleanTabInPlace function', () => {
+    test('should clean a URL the page set itself in place', async () => {
+      scripting.executeScript.mockResolvedValueOnce([{ result: true }]);
+
+      expect(await cleanTabInPlace(3, ORIGINAL)).toBe(CLEANED);
+      expect(scripting.executeScript).toHaveBeenCalledWith(expect.objectContaining({
+        args: [ORIGINAL, CLEANED],
+      }));
+    });
+
+    test('should use the cleaning options', async () => {
+      expect(await cleanTabInPlace(3, 'https://example.com/?si=abc', { profile: 'standard' })).toBeNull();
+      expect(scripting.executeScript).not.toHaveBeenCalled();
+    });
+
+    test('should never navigate', async () => {
+      scripting.executeScript.mockResolvedValueOnce([{ result: false }]);
+
+      expect(await cleanTabInPlace(3, ORIGINAL)).toBeNull();
+      expect(await cleanTabInPlace(3, 'https://www.amazon.com/dp/B01ABC/ref=sr_1_1')).toBeNull();
+      expect(tabs.update).not.toHaveBeenCalled();
+    });
+
+    test('should leave clean URLs alone', async () => {
+      expect(await cleanTabInPlace(3, CLEANED)).toBeNull();
+      expect(scripting.executeScript).not.toHaveBeenCalled();
+    });
+  });
+});
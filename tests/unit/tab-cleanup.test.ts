@@ -0,0 +1,212 @@
+/**
+ * Unit Tests for Cleaning All Open Tabs
+ *
+ * Tests for cleaning every tab at once:
+ * - Planning which tabs to clean
+ * - Finding tabs that are duplicates once cleaned
+ * - Applying the plan and closing duplicates safely
+ */
+
+import { describe, test, expect, vi, beforeEach } from 'vitest';
+
+import {
+  cleanOpenTabs,
+  closeDuplicateTabs,
+  describeTabCleanup,
+  planTabCleanup,
+} from '../../utils/tab-cleanup';
+
+const tabs = chrome.tabs as any;
+const scripting = chrome.scripting as any;
+const permissions = chrome.permissions as any;
+
+/**
+ * Builds a tab with sensible defaults
+ */
+const createTab = (id: number, url: string, extra: Partial<chrome.tabs.Tab> = {}) =>
+  ({ id, url, index: id, windowId: 1, active: false, pinned: false, ...extra }) as chrome.tabs.Tab;
+
+describe('Tab Cleanup', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    scripting.executeScript.mockResolvedValue([{ result: true }]);
+    permissions.contains.mockResolvedValue(true);
+  });
+
+  // ============================================================================
+  // planTabCleanup Function
+  // ============================================================================
+  describe('planTabCleanup function', () => {
+    test('should plan updates for tabs with tracking only', () => {
+      const plan = planTabCleanup([
+        createTab(1, 'https://a.com/post?utm_source=x'),
+        createTab(2, 'https://b.com/'),
+        createTab(3, 'chrome://settings/'),
+      ]);
+
+      expect(plan.scannedCount).toBe(2);
+      expect(plan.updates).toEqual([
+        { tabId: 1, fromUrl: 'https://a.com/post?utm_source=x', toUrl: 'https://a.com/post', removedCount: 1 },
+      ]);
+    });
+
+    test('should find tabs that are identical once tracking is ignored', () => {
+      const plan = planTabCleanup([
+        createTab(1, 'https://a.com/post?utm_source=x'),
+        createTab(2, 'https://a.com/post'),
+        createTab(3, 'https://a.com/post?fbclid=1'),
+        createTab(4, 'https://a.com/other'),
+      ]);
+
+      expect(plan.duplicates).toEqual([{ url: 'https://a.com/post', keepTabId: 1, closeTabIds: [2, 3] }]);
+    });
+
+    test('should keep the active tab and never close pinned tabs', () => {
+      const plan = planTabCleanup([
+        createTab(1, 'https://a.com/?gclid=1', { pinned: true }),
+        createTab(2, 'https://a.com/'),
+        createTab(3, 'https://a.com/?utm_source=x', { active: true }),
+      ]);
+
+      expect(plan.duplicates).toEqual([{ url: 'https://a.com/', keepTabId: 3, closeTabIds: [2] }]);
+    });
+
+    test('should not report groups made only of pinned tabs besides the kept one', () => {
+      const plan = planTabCleanup([
+        createTab(1, 'https://a.com/', { pinned: true }),
+        createTab(2, 'https://a.com/?utm_source=x', { pinned: true }),
+      ]);
+
+      expect(plan.duplicates).toEqual([]);
+    });
+  });
+
+  // ============================================================================
+  // cleanOpenTabs Function
+  // ============================================================================
+  describe('cleanOpenTabs function', () => {
+    test('should clean tabs with tracking and report duplicates', async () => {
+      tabs.query.mockResolvedValueOnce([
+        createTab(1, 'https://a.com/?utm_source=x'),
+        createTab(2, 'https://a.com/'),
+      ]);
+
+      const report = await cleanOpenTabs({ cleanUrlOptions: {}, inPlace: true });
+
+      expect(tabs.query).toHaveBeenCalledWith({});
+      expect(scripting.executeScript).toHaveBeenCalledTimes(1);
+      expect(report).toMatchObject({ scannedCount: 2, cleanedCount: 1, duplicateCount: 1 });
+    });
+
+    test('should limit cleaning to one window and count failed tabs out', async () => {
+      tabs.query.mockResolvedValueOnce([createTab(1, 'https://a.com/post/amp/?utm_source=x', { active: true })]);
+      tabs.update.mockRejectedValueOnce(new Error('No tab with id: 1'));
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const report = await cleanOpenTabs({ windowId: 7, cleanUrlOptions: { profile: 'aggressive' }, inPlace: true });
+
+      expect(tabs.query).toHaveBeenCalledWith({ windowId: 7 });
+      expect(report.cleanedCount).toBe(0);
+      warn.mockRestore();
+    });
+
+    test('should never reload background or discarded tabs with access to all sites', async () => {
+      tabs.query.mockResolvedValueOnce([
+        createTab(1, 'https://a.com/?utm_source=x'),
+        createTab(2, 'https://b.com/?utm_source=x'),
+        createTab(3, 'https://c.com/?utm_source=x', { discarded: true }),
+        createTab(4, 'https://www.amazon.com/dp/B0/ref=sr_1_1?utm_source=x'),
+      ]);
+      // No access to tab 2's page (e.g. the Web Store)
+      scripting.executeScript.mockImplementation(async ({ target }: { target: { tabId: number } }) => {
+        if (target.tabId === 2) {
+          throw new Error('Cannot access contents of the page');
+        }
+        return [{ result: true }];
+      });
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const report = await cleanOpenTabs({ cleanUrlOptions: {}, inPlace: true });
+
+      expect(tabs.update).not.toHaveBeenCalled();
+      expect(scripting.executeScript).toHaveBeenCalledTimes(2);
+      expect(report).toMatchObject({ scannedCount: 4, cleanedCount: 1, skippedCount: 3 });
+      warn.mockRestore();
+    });
+
+    test('should navigate background tabs without access to all sites', async () => {
+      tabs.query.mockResolvedValueOnce([
+        createTab(1, 'https://a.com/?utm_source=x'),
+        createTab(2, 'https://b.com/?utm_source=x', { discarded: true }),
+      ]);
+      permissions.contains.mockResolvedValue(false);
+      // activeTab doesn't cover background tabs
+      scripting.executeScript.mockRejectedValue(new Error('Cannot access contents of the page'));
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const report = await cleanOpenTabs({ cleanUrlOptions: {}, inPlace: true });
+
+      expect(permissions.contains).toHaveBeenCalledWith({ origins: ['<all_urls>'] });
+      expect(tabs.update).toHaveBeenCalledTimes(1);
+      expect(tabs.update).toHaveBeenCalledWith(1, { url: 'https://a.com/' });
+      expect(report).toMatchObject({ cleanedCount: 1, skippedCount: 1 });
+      warn.mockRestore();
+    });
+
+    test('should navigate background tabs when in-place cleaning is off', async () => {
+      tabs.query.mockResolvedValueOnce([createTab(1, 'https://a.com/?utm_source=x')]);
+
+      const report = await cleanOpenTabs({ cleanUrlOptions: {}, inPlace: false });
+
+      expect(scripting.executeScript).not.toHaveBeenCalled();
+      expect(tabs.update).toHaveBeenCalledWith(1, { url: 'https://a.com/' });
+      expect(report).toMatchObject({ cleanedCount: 1, skippedCount: 0 });
+    });
+
+    test('should still navigate the active tab when it cannot be cleaned in place', async () => {
+      tabs.query.mockResolvedValueOnce([createTab(1, 'https://a.com/?utm_source=x', { active: true })]);
+
+      const report = await cleanOpenTabs({ cleanUrlOptions: {}, inPlace: false });
+
+      expect(tabs.update).toHaveBeenCalledWith(1, { url: 'https://a.com/' });
+      expect(report).toMatchObject({ cleanedCount: 1, skippedCount: 0 });
+    });
+  });
+
+  // ============================================================================
+  // closeDuplicateTabs Function
+  // ============================================================================
+  describe('closeDuplicateTabs function', () => {
+    const GROUP = { url: 'https://a.com/', keepTabId: 1, closeTabIds: [2, 3] };
+
+    test('should close duplicates that still show the same page', async () => {
+      tabs.query.mockResolvedValueOnce([
+        createTab(1, 'https://a.com/'),
+        createTab(2, 'https://a.com/?utm_source=x'),
+        createTab(3, 'https://a.com/elsewhere'),
+      ]);
+
+      expect(await closeDuplicateTabs([GROUP])).toBe(1);
+      expect(tabs.remove).toHaveBeenCalledWith([2]);
+    });
+
+    test('should keep duplicates whose kept tab was closed', async () => {
+      tabs.query.mockResolvedValueOnce([createTab(2, 'https://a.com/'), createTab(3, 'https://a.com/')]);
+
+      expect(await closeDuplicateTabs([GROUP])).toBe(0);
+      expect(tabs.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  test('describeTabCleanup should summarize the report', () => {
+    const report = { scannedCount: 5, cleanedCount: 2, skippedCount: 0, duplicateCount: 1, updates: [], duplicates: [] };
+
+    expect(describeTabCleanup(report)).toBe('Cleaned 2 of 5 tabs, 1 duplicate tab found');
+    expect(describeTabCleanup({ ...report, cleanedCount: 0, duplicateCount: 0 })).toBe(
+      'No tracking parameters found in 5 tabs'
+    );
+    expect(describeTabCleanup({ ...report, cleanedCount: 0, skippedCount: 2 })).toBe(
+      'Cleaned 0 of 5 tabs, 2 background tabs skipped to avoid a reload, 1 duplicate tab found'
+    );
+  });
+});
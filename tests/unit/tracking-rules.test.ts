@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for the Tracking Rule Registry
+ *
+ * Tests for the rule registry that drives removal and categorization:
+ * - validateRules consistency checks (duplicates, shadowed, uncategorized)
+ * - Categories in analyzeUrl come from the matching rule
+ */
+
+import { describe, test, expect } from 'vitest';
+
+import { analyzeUrl } from '../../utils/clean-url-logic';
+import {
+  validateRules,
+  TRACKING_RULES,
+  PATH_TRACKING_RULES,
+  TRACKING_CATEGORIES,
+  type TrackingRule,
+} from '../../utils/tracking-rules';
+
+/**
+ * Builds a minimal valid rule for validateRules tests
+ */
+const rule = (id: string, params: TrackingRule['params'], extra: Partial<TrackingRule> = {}): TrackingRule => ({
+  id,
+  params,
+  category: 'analytics',
+  vendor: 'Test',
+  description: 'Test rule',
+  confidence: 'high',
+  ...extra,
+});
+
+describe('Tracking Rule Registry', () => {
+  // ============================================================================
+  // Registry Consistency
+  // ============================================================================
+  describe('Built-in rules', () => {
+    test('should pass validateRules', () => {
+      expect(validateRules()).toEqual([]);
+    });
+
+    test('should only use known categories', () => {
+      [...TRACKING_RULES, ...PATH_TRACKING_RULES].forEach((trackingRule) => {
+        expect(TRACKING_CATEGORIES).toContain(trackingRule.category);
+      });
+    });
+  });
+
+  // ============================================================================
+  // validateRules Function
+  // ============================================================================
+  describe('validateRules function', () => {
+    test('should flag exact names shadowed by an earlier pattern', () => {
+      const issues = validateRules([rule('utm', ['utm_*']), rule('utm_ad', ['utm_ad'])], []);
+
+      expect(issues).toEqual([
+        { type: 'shadowed', rule: 'utm_ad', message: '"utm_ad" is already matched by rule "utm"' },
+      ]);
+    });
+
+    test('should not flag names an earlier rule only removes in fewer profiles', () => {
+      const issues = validateRules(
+        [rule('speculative', ['si*'], { confidence: 'low' }), rule('sid', ['sid'])],
+        []
+      );
+
+      expect(issues).toEqual([]);
+    });
+
+    test('should not flag names an earlier rule only matches on other hosts', () => {
+      const issues = validateRules(
+        [rule('amazon', ['tag'], { hosts: ['amazon.*'] }), rule('ebay', ['tag'], { hosts: ['ebay.*'] })],
+        []
+      );
+
+      expect(issues).toEqual([]);
+    });
+
+    test('should flag duplicate ids and patterns', () => {
+      const issues = validateRules(
+        [rule('a', ['fbclid', 'FBCLID']), rule('b', [/^x$/]), rule('b', [/^x$/])],
+        []
+      );
+
+      expect(issues.map((issue) => [issue.type, issue.rule])).toEqual([
+        ['duplicate', 'b'],
+        ['duplicate', 'a'],
+        ['duplicate', 'b'],
+      ]);
+    });
+
+    test('should flag rules without category, vendor or description', () => {
+      const issues = validateRules(
+        [
+          rule('no-vendor', ['a'], { vendor: '' }),
+          rule('bad-category', ['b'], { category: 'other' as TrackingRule['category'] }),
+        ],
+        []
+      );
+
+      expect(issues.map((issue) => [issue.type, issue.rule])).toEqual([
+        ['uncategorized', 'no-vendor'],
+        ['uncategorized', 'bad-category'],
+      ]);
+    });
+
+    test('should check path rule ids against parameter rule ids', () => {
+      const issues = validateRules([rule('amp-suffix', ['amp'])], PATH_TRACKING_RULES);
+
+      expect(issues).toEqual([expect.objectContaining({ type: 'duplicate', rule: 'amp-suffix' })]);
+    });
+  });
+
+  // ============================================================================
+  // analyzeUrl Categories
+  // ============================================================================
+  describe('analyzeUrl categories', () => {
+    test('should categorize utm_ad as ads rather than utm', () => {
+      const result = analyzeUrl('https://example.com/?utm_ad=1&utm_source=x');
+
+      expect(result.categories.ads.map((param) => param.key)).toEqual(['utm_ad']);
+      expect(result.categories.utm.map((param) => param.key)).toEqual(['utm_source']);
+    });
+
+    test('should categorize beehiiv _bhlid as email', () => {
+      const result = analyzeUrl('https://example.com/?_bhlid=abc');
+
+      expect(result.summary.email).toBe(1);
+      expect(result.summary.analytics).toBe(0);
+    });
+
+    test('should use the category of path and host-scoped rules', () => {
+      const result = analyzeUrl('https://www.amazon.com/dp/B1/ref=sr_1?tag=a-20');
+
+      expect(result.categories.affiliate.map((param) => param.rule)).toEqual(['amazon-affiliate']);
+      expect(result.categories.analytics.map((param) => param.rule)).toEqual(['amazon-ref-segment']);
+    });
+  });
+});
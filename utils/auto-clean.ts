@@ -0,0 +1,144 @@
+/**
+ * Clean URL - Automatic Cleaning
+ * Turns the tracking rule registry into declarativeNetRequest dynamic rules, so
+ * Chrome strips tracking parameters before a navigation request leaves the browser.
+ */
+
+import { PROFILE_CONFIDENCE, type CleaningProfile } from './clean-url-logic';
+import { expandHostPattern, hostPatternToRegExpSource } from './host-pattern';
+import type { Settings } from './settings';
+import { isScopedRule, TRACKING_RULES, type TrackingRule } from './tracking-rules';
+
+/** Requests that get rewritten: page and frame navigations, never subresources */
+const AUTO_CLEAN_RESOURCE_TYPES: chrome.declarativeNetRequest.ResourceType[] = [
+  'main_frame' as chrome.declarativeNetRequest.ResourceType,
+  'sub_frame' as chrome.declarativeNetRequest.ResourceType
+];
+
+/**
+ * Lists the parameter names a rule can hand to `queryTransform.removeParams`.
+ * removeParams only takes exact names, so glob and regex patterns (`utm_*`) are
+ * removed from the address bar once the page commits (see handlePageUrlChange
+ * in the background script) instead.
+ * @param rule - Tracking rule
+ * @returns Exact parameter names of the rule
+ */
+function getExactParams(rule: TrackingRule): string[] {
+  return rule.params.filter((pattern): pattern is string =>
+    typeof pattern === 'string' && !/[*?]/.test(pattern)
+  );
+}
+
+/**
+ * Builds the condition limiting a rule to its hosts
+ * @param rule - Tracking rule
+ * @returns Request condition, or null if the scope can't be expressed
+ */
+function buildRuleCondition(rule: TrackingRule): chrome.declarativeNetRequest.RuleCondition | null {
+  const condition: chrome.declarativeNetRequest.RuleCondition = {
+    resourceTypes: AUTO_CLEAN_RESOURCE_TYPES
+  };
+
+  if (rule.hosts) {
+    // "amazon.*" becomes amazon.com, amazon.co.uk, ... which requestDomains can take
+    const hosts = rule.hosts.flatMap(expandHostPattern);
+    if (hosts.some(pattern => pattern.includes('*'))) {
+      // requestDomains has no wildcards - match the host part of the URL instead
+      const sources = hosts.map(hostPatternToRegExpSource).join('|');
+      condition.regexFilter = `^https?://(?:[^/?#@]*@)?(?:${sources})(?::[0-9]+)?(?:[/?#]|$)`;
+    } else {
+      condition.requestDomains = hosts;
+    }
+  }
+
+  if (rule.excludeHosts) {
+    const excludeHosts = rule.excludeHosts.flatMap(expandHostPattern);
+    // Cleaning a host the rule must not touch is worse than not auto-cleaning at all
+    if (excludeHosts.some(pattern => pattern.includes('*'))) {
+      return null;
+    }
+    condition.excludedRequestDomains = excludeHosts;
+  }
+
+  return condition;
+}
+
+/**
+ * Builds the dynamic rules that remove tracking parameters for a cleaning profile
+ * @param profile - Cleaning profile; rules below its confidence are left out
+ * @returns declarativeNetRequest rules with ids starting at 1
+ * @example
+ * buildAutoCleanRules('safe')[0].action.redirect.transform.queryTransform.removeParams
+ * // => ['utm_source', 'utm_medium', ..., 'fbclid', ...]
+ */
+function buildAutoCleanRules(profile: CleaningProfile): chrome.declarativeNetRequest.Rule[] {
+  const activeRules = TRACKING_RULES.filter(rule => PROFILE_CONFIDENCE[profile].includes(rule.confidence));
+
+  // All global names share one rule; each host-scoped rule gets its own condition
+  const groups: Array<{ condition: chrome.declarativeNetRequest.RuleCondition | null; params: string[] }> = [
+    {
+      condition: { resourceTypes: AUTO_CLEAN_RESOURCE_TYPES },
+      params: activeRules.filter(rule => !isScopedRule(rule)).flatMap(getExactParams)
+    },
+    ...activeRules.filter(isScopedRule).map(rule => ({
+      condition: buildRuleCondition(rule),
+      params: getExactParams(rule)
+    }))
+  ];
+
+  return groups
+    .filter((group): group is { condition: chrome.declarativeNetRequest.RuleCondition; params: string[] } =>
+      group.condition !== null && group.params.length > 0
+    )
+    .map((group, index) => ({
+      id: index + 1,
+      priority: 1,
+      action: {
+        type: 'redirect' as chrome.declarativeNetRequest.RuleActionType,
+        redirect: {
+          transform: {
+            queryTransform: { removeParams: [...new Set(group.params)] }
+          }
+        }
+      },
+      condition: group.condition
+    }));
+}
+
+/**
+ * Last sync started. Each sync reads the dynamic rules and then replaces them,
+ * so two overlapping syncs would both remove only the rules they read and then
+ * both add theirs - leaving duplicate ids. Syncs wait for the previous one instead.
+ */
+let syncQueue: Promise<unknown> = Promise.resolve();
+
+/**
+ * Replaces the extension's dynamic rules with the ones for the current settings.
+ * With auto-clean off, all dynamic rules are removed. Runs after any sync
+ * still in progress.
+ * @param settings - Current settings
+ * @returns Number of rules now active
+ */
+async function syncAutoCleanRules(settings: Settings): Promise<number> {
+  const sync = syncQueue.then(async () => {
+    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+    const addRules = settings.autoClean ? buildAutoCleanRules(settings.profile) : [];
+
+    await chrome.declarativeNetRequest.updateDynamicRules({
+      removeRuleIds: existingRules.map(rule => rule.id),
+      addRules
+    });
+
+    return addRules.length;
+  });
+
+  // A failed sync mustn't block the next ones
+  syncQueue = sync.catch(() => {});
+  return sync;
+}
+
+export {
+  buildAutoCleanRules,
+  syncAutoCleanRules,
+  AUTO_CLEAN_RESOURCE_TYPES
+};
@@ -0,0 +1,79 @@
+/**
+ * Clean URL - Toolbar Icon Badge
+ * Works out what the toolbar icon shows for a tab: a count (or dot) colored
+ * by the most serious kind of tracking found, and a tooltip listing it.
+ */
+
+import type { AnalyzeUrlResult } from './clean-url-logic';
+import { BADGE } from './config';
+import type { BadgeStyle } from './settings';
+import type { TrackingCategory } from './tracking-rules';
+
+/**
+ * Finds the most serious category with at least one tracking parameter
+ * @param summary - Parameters found per category (AnalyzeUrlResult.summary)
+ * @returns Category, or null if nothing was found
+ * @example
+ * getMostSeriousCategory({ utm: 2, social: 0, ads: 1, affiliate: 0, email: 0, analytics: 0 }) // => 'ads'
+ */
+function getMostSeriousCategory(summary: AnalyzeUrlResult['summary']): TrackingCategory | null {
+  return BADGE.CATEGORY_SEVERITY.find(category => summary[category] > 0) ?? null;
+}
+
+/**
+ * Builds the icon tooltip listing the tracking parameters of a URL
+ * @param result - Analysis of the tab's URL
+ * @returns Tooltip text, one parameter per line
+ */
+function buildBadgeTitle(result: AnalyzeUrlResult): string {
+  const params = result.removedParams;
+  if (params.length === 0) {
+    return BADGE.DEFAULT_TITLE;
+  }
+
+  const lines = params
+    .slice(0, BADGE.MAX_TITLE_PARAMS)
+    .map(param => `• ${param.key} - ${param.description}`);
+  if (params.length > BADGE.MAX_TITLE_PARAMS) {
+    lines.push(`and ${params.length - BADGE.MAX_TITLE_PARAMS} more`);
+  }
+
+  const count = `${params.length} tracking parameter${params.length === 1 ? '' : 's'}`;
+  return [`${BADGE.DEFAULT_TITLE} - ${count}:`, ...lines].join('\n');
+}
+
+/**
+ * Works out the badge of a tab from the analysis of its URL
+ * @param result - Analysis of the tab's URL
+ * @param style - Show the count or just a dot
+ * @returns Badge text (empty when nothing was found), background color and tooltip
+ * @example
+ * getBadgeState(analyzeUrl('https://a.com/?utm_source=x&fbclid=y'), 'count')
+ * // => { text: '2', color: BADGE.CATEGORY_COLORS.social, title: 'Clean URL - 2 tracking parameters:\n...' }
+ */
+function getBadgeState(result: AnalyzeUrlResult, style: BadgeStyle = 'count'): BadgeState {
+  const category = result.success ? getMostSeriousCategory(result.summary) : null;
+  if (!category) {
+    return { text: '', color: BADGE.DEFAULT_COLOR, title: BADGE.DEFAULT_TITLE };
+  }
+
+  const count = result.removedCount;
+  const text = style === 'dot'
+    ? BADGE.DOT_TEXT
+    : count > BADGE.MAX_COUNT ? `${BADGE.MAX_COUNT}+` : count.toString();
+
+  return { text, color: BADGE.CATEGORY_COLORS[category], title: buildBadgeTitle(result) };
+}
+
+// TypeScript type definitions
+export interface BadgeState {
+  text: string;
+  color: string;
+  title: string;
+}
+
+export {
+  getBadgeState,
+  getMostSeriousCategory,
+  buildBadgeTitle
+};
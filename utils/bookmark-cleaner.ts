@@ -0,0 +1,198 @@
+/**
+ * Clean URL - Bookmark Cleaning
+ * Finds bookmarks with tracking parameters, applies the cleanings the user
+ * approves, and keeps an undo snapshot of every run in chrome.storage.local.
+ */
+
+import { analyzeUrl, type CleanUrlOptions, type RemovedParam } from './clean-url-logic';
+
+/** Storage key holding the undo snapshots, newest first */
+const BOOKMARK_SNAPSHOTS_KEY = 'bookmarkSnapshots';
+
+/** Number of runs that can be undone */
+const BOOKMARK_SNAPSHOT_LIMIT = 10;
+
+/**
+ * Walks a bookmark tree and finds every bookmark whose URL would change
+ * @param nodes - Bookmark tree (chrome.bookmarks.getTree() or a subtree)
+ * @param options - Cleaning options
+ * @param folderPath - Titles of the folders above `nodes` (used while recursing)
+ * @returns Proposed changes in tree order
+ */
+function findBookmarkChanges(
+  nodes: chrome.bookmarks.BookmarkTreeNode[],
+  options: CleanUrlOptions = {},
+  folderPath: string[] = []
+): BookmarkChange[] {
+  return nodes.flatMap((node) => {
+    if (node.children) {
+      // The root node has no title - don't show it in paths
+      const path = node.title ? [...folderPath, node.title] : folderPath;
+      return findBookmarkChanges(node.children, options, path);
+    }
+
+    if (!node.url || !/^https?:\/\//.test(node.url)) {
+      return [];
+    }
+
+    const result = analyzeUrl(node.url, options);
+    if (!result.success || !result.hasChanges || !result.cleanedUrl) {
+      return [];
+    }
+
+    return [{
+      id: node.id,
+      title: node.title,
+      folderPath,
+      originalUrl: node.url,
+      cleanedUrl: result.cleanedUrl,
+      removedParams: result.removedParams
+    }];
+  });
+}
+
+/**
+ * Groups proposed changes by the folder the bookmarks are in
+ * @param changes - Changes from findBookmarkChanges
+ * @returns One group per folder, in the order the folders were first seen
+ * @example
+ * groupChangesByFolder(changes)[0].folder // => 'Bookmarks bar / Reading'
+ */
+function groupChangesByFolder(changes: BookmarkChange[]): BookmarkFolderGroup[] {
+  const groups = new Map<string, BookmarkChange[]>();
+
+  for (const change of changes) {
+    const folder = change.folderPath.join(' / ');
+    groups.set(folder, [...(groups.get(folder) ?? []), change]);
+  }
+
+  return Array.from(groups, ([folder, folderChanges]) => ({ folder, changes: folderChanges }));
+}
+
+/**
+ * Scans all bookmarks for tracking parameters
+ * @param options - Cleaning options
+ * @returns Proposed changes in tree order
+ */
+async function scanBookmarks(options: CleanUrlOptions = {}): Promise<BookmarkChange[]> {
+  return findBookmarkChanges(await chrome.bookmarks.getTree(), options);
+}
+
+/**
+ * Reads the saved undo snapshots
+ * @returns Snapshots, newest first
+ */
+async function getBookmarkSnapshots(): Promise<BookmarkSnapshot[]> {
+  const stored = await chrome.storage.local.get(BOOKMARK_SNAPSHOTS_KEY);
+  return (stored?.[BOOKMARK_SNAPSHOTS_KEY] as BookmarkSnapshot[] | undefined) ?? [];
+}
+
+/**
+ * Saves the undo snapshots, dropping the oldest beyond the limit
+ * @param snapshots - Snapshots, newest first
+ */
+async function saveBookmarkSnapshots(snapshots: BookmarkSnapshot[]) {
+  await chrome.storage.local.set({ [BOOKMARK_SNAPSHOTS_KEY]: snapshots.slice(0, BOOKMARK_SNAPSHOT_LIMIT) });
+}
+
+/**
+ * Cleans the approved bookmarks. The undo snapshot is saved before any
+ * bookmark is touched, so a run that fails halfway can still be undone.
+ * @param changes - Approved changes
+ * @returns Number of bookmarks updated and failed, and the snapshot to undo them with
+ */
+async function applyBookmarkChanges(changes: BookmarkChange[]): Promise<ApplyBookmarkChangesResult> {
+  const snapshot: BookmarkSnapshot = {
+    id: `${Date.now()}`,
+    createdAt: Date.now(),
+    entries: changes.map(({ id, title, originalUrl, cleanedUrl }) => ({ id, title, originalUrl, cleanedUrl }))
+  };
+  await saveBookmarkSnapshots([snapshot, ...await getBookmarkSnapshots()]);
+
+  let updatedCount = 0;
+  let failedCount = 0;
+  for (const change of changes) {
+    try {
+      await chrome.bookmarks.update(change.id, { url: change.cleanedUrl });
+      updatedCount++;
+    } catch (error) {
+      // The bookmark may have been deleted since the scan
+      console.warn(`Could not clean bookmark ${change.id}:`, error);
+      failedCount++;
+    }
+  }
+
+  return { updatedCount, failedCount, snapshotId: snapshot.id };
+}
+
+/**
+ * Puts back the URLs a run changed. Bookmarks edited or deleted since are left alone.
+ * @param snapshotId - Snapshot to undo
+ * @returns Number of bookmarks restored
+ */
+async function undoBookmarkSnapshot(snapshotId: string): Promise<number> {
+  const snapshots = await getBookmarkSnapshots();
+  const snapshot = snapshots.find(({ id }) => id === snapshotId);
+  if (!snapshot) {
+    return 0;
+  }
+
+  let restoredCount = 0;
+  for (const entry of snapshot.entries) {
+    try {
+      const [bookmark] = await chrome.bookmarks.get(entry.id);
+      if (bookmark?.url === entry.cleanedUrl) {
+        await chrome.bookmarks.update(entry.id, { url: entry.originalUrl });
+        restoredCount++;
+      }
+    } catch (error) {
+      console.warn(`Could not restore bookmark ${entry.id}:`, error);
+    }
+  }
+
+  await saveBookmarkSnapshots(snapshots.filter(({ id }) => id !== snapshotId));
+  return restoredCount;
+}
+
+// TypeScript type definitions
+export interface BookmarkChange {
+  /** Bookmark id */
+  id: string;
+  title: string;
+  /** Titles of the folders containing the bookmark, outermost first */
+  folderPath: string[];
+  originalUrl: string;
+  cleanedUrl: string;
+  removedParams: RemovedParam[];
+}
+
+export interface BookmarkFolderGroup {
+  /** Folder path, e.g. "Bookmarks bar / Reading" */
+  folder: string;
+  changes: BookmarkChange[];
+}
+
+export interface BookmarkSnapshot {
+  id: string;
+  createdAt: number;
+  /** Bookmarks the run changed, with the URLs to restore */
+  entries: Array<Pick<BookmarkChange, 'id' | 'title' | 'originalUrl' | 'cleanedUrl'>>;
+}
+
+export interface ApplyBookmarkChangesResult {
+  updatedCount: number;
+  failedCount: number;
+  /** Snapshot to pass to undoBookmarkSnapshot */
+  snapshotId: string;
+}
+
+export {
+  findBookmarkChanges,
+  groupChangesByFolder,
+  scanBookmarks,
+  applyBookmarkChanges,
+  getBookmarkSnapshots,
+  undoBookmarkSnapshot,
+  BOOKMARK_SNAPSHOTS_KEY,
+  BOOKMARK_SNAPSHOT_LIMIT
+};
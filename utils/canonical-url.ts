@@ -0,0 +1,85 @@
+/**
+ * Clean URL - Canonical Product URLs
+ * Rewrites known marketplace product pages to their minimal canonical form.
+ * Opt-in: the query string, hash and descriptive path parts are all dropped.
+ */
+
+import { matchesHostPattern } from './host-pattern';
+
+/**
+ * Known marketplace product URL shapes.
+ * The first capture group of `path` replaces `$1` in `canonicalPath`.
+ */
+const CANONICAL_URL_RULES: CanonicalUrlRule[] = [
+  {
+    // /Some-Title/dp/B0XXXXXXXX/ref=..., /gp/product/B0XXXXXXXX, /gp/aw/d/B0XXXXXXXX
+    id: 'amazon-product',
+    hosts: ['amazon.*'],
+    path: /\/(?:dp|gp\/product|gp\/aw\/d|exec\/obidos\/ASIN)\/([A-Z0-9]{10})(?=[/;]|$)/i,
+    canonicalPath: '/dp/$1'
+  },
+  {
+    // /itm/Some-Title/123456789012, /itm/123456789012
+    id: 'ebay-item',
+    hosts: ['ebay.*'],
+    path: /^\/itm\/(?:[^/]+\/)?(\d{9,})(?=[/;]|$)/,
+    canonicalPath: '/itm/$1'
+  },
+  {
+    // /item/1005001234567890.html
+    id: 'aliexpress-item',
+    hosts: ['aliexpress.*'],
+    path: /^\/item\/(\d+)\.html$/,
+    canonicalPath: '/item/$1.html'
+  }
+];
+
+/**
+ * Rewrites a marketplace product URL to its canonical form
+ * @param urlString - Product page URL (usually already cleaned of tracking)
+ * @returns The canonical URL and the rule id, or null if no rule applies
+ * @example
+ * canonicalizeUrl('https://www.amazon.com/Some-Title/dp/B0XXXXXXXX/ref=sr_1_1?th=1')
+ * // => { url: 'https://www.amazon.com/dp/B0XXXXXXXX', rule: 'amazon-product' }
+ */
+function canonicalizeUrl(urlString: string): { url: string; rule: string } | null {
+  let url: URL;
+  try {
+    url = new URL(urlString);
+  } catch {
+    return null;
+  }
+
+  for (const rule of CANONICAL_URL_RULES) {
+    if (!rule.hosts.some(pattern => matchesHostPattern(url.hostname, pattern))) {
+      continue;
+    }
+
+    const match = rule.path.exec(url.pathname);
+    if (!match) {
+      continue;
+    }
+
+    const canonical = new URL(url.origin + rule.canonicalPath.replace('$1', match[1])).toString();
+    return canonical === url.toString() ? null : { url: canonical, rule: rule.id };
+  }
+
+  return null;
+}
+
+// TypeScript type definitions
+export interface CanonicalUrlRule {
+  /** Stable identifier reported in `CanonicalChange.rule` */
+  id: string;
+  /** Host patterns of the marketplace (see matchesHostPattern) */
+  hosts: string[];
+  /** Matches the product id in the pathname (first capture group) */
+  path: RegExp;
+  /** Canonical pathname, `$1` is replaced with the product id */
+  canonicalPath: string;
+}
+
+export {
+  canonicalizeUrl,
+  CANONICAL_URL_RULES
+};
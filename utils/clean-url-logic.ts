@@ -3,78 +3,132 @@
  * Removes tracking parameters from URLs while preserving essential functionality
  */
 
-// Comprehensive tracking parameter patterns
-const TRACKING_PARAM_PATTERNS = [
-  // UTM parameters
-  'utm_source',
-  'utm_medium', 
-  'utm_campaign',
-  'utm_term',
-  'utm_content',
-  'utm_nooverride',
-  
-  // Social media trackers
-  'fbclid',     // Facebook Click ID
-  'igshid',     // Instagram Share ID
-  'ttclid',     // TikTok Click ID
-  'tiktok_r',   // TikTok Referral
-  'li_fat_id',  // LinkedIn Fat ID
-  'mkt_tok',    // LinkedIn/Marketo token
-  'trk',        // General tracking
-  
-  // Ad platform trackers
-  'gclid',      // Google Click ID
-  'yclid',      // Yandex Click ID
-  'dclid',      // DoubleClick Click ID
-  'msclkid',    // Microsoft Click ID
-  'gad_source', // Google Ads source
-  'gad_campaignid', // Google Ads campaign ID
-  'gbraid',     // Google Ads gbraid
-  'utm_ad',     // UTM ad identifier
-  'matchtype',  // Google Ads match type (exact/broad/phrase)
-  'campaign_id', // Generic campaign identifier
-  'ad_id',      // Generic ad identifier
-  
-  // Affiliate & referral trackers
-  'ref',
-  'referral',
-  'referrer',    // HTTP Referer tracking (distinct from 'referral' programs)
-  'affiliate_id',
-  'afid',
-  'click_id',
-  'clickid',
-  'subid',
-  'sub_id',
-  'partner_id',
-  'sr_share',   // ShareThis
-
-  // Amazon affiliate & tracking
-  'tag',        // Amazon affiliate tag (most important)
-  'linkCode',   // Amazon Associates link code
-  'linkId',     // Amazon Associates link ID
-  'ascsubtag',  // Amazon affiliate sub-tag
-  'camp',       // Amazon campaign ID
-  'creative',   // Amazon creative/ad ID
-  'pd_rd_i',    // Product detail ranking - item
-  'pd_rd_r',    // Product detail ranking - request
-  'pd_rd_w',    // Product detail ranking - widget
-  'pd_rd_wg',   // Product detail ranking - widget group
-  
-  // Email & newsletter trackers
-  'ck_subscriber_id',  // ConvertKit
-  'mc_cid',           // MailChimp Campaign ID
-  'mc_eid',           // MailChimp Email ID
-  '_hsenc',           // HubSpot Email Encoding
-  '_hsmi',            // HubSpot Message ID
-  
-  // Analytics & other
-  'sthash',     // ShareThis hash
-  'source',     // Standalone source parameter
-  'campaign',   // Standalone campaign parameter
-  'adgroup',
-  'adposition',
-  '_bhlid'      // BH List ID tracking parameter
-];
+import { canonicalizeUrl } from './canonical-url';
+import { matchesHostPattern } from './host-pattern';
+import { unwrapRedirectChain, type UnwrapStep } from './redirect-unwrap';
+import {
+  isScopedRule,
+  matchesParamPattern,
+  PATH_TRACKING_RULES,
+  TRACKING_RULES,
+  type Confidence,
+  type HostScope,
+  type ParamPattern,
+  type PathTrackingRule,
+  type TrackingCategory,
+  type TrackingRule
+} from './tracking-rules';
+
+/** Patterns of the rules that apply on every host */
+const TRACKING_PARAM_PATTERNS: ParamPattern[] = TRACKING_RULES
+  .filter(rule => !isScopedRule(rule))
+  .flatMap(rule => rule.params);
+
+/** Rules that only apply to some hosts */
+const SCOPED_TRACKING_RULES: TrackingRule[] = TRACKING_RULES.filter(isScopedRule);
+
+/**
+ * Rule confidence levels removed by each cleaning profile.
+ * - safe: only unambiguous trackers (click IDs, UTM, vendor-specific params)
+ * - standard: also generic names that are usually tracking (default)
+ * - aggressive: also speculative names that are sometimes meaningful
+ */
+const PROFILE_CONFIDENCE: Record<CleaningProfile, Confidence[]> = {
+  safe: ['high'],
+  standard: ['high', 'medium'],
+  aggressive: ['high', 'medium', 'low']
+};
+
+/** Profile used when none is given */
+const DEFAULT_PROFILE: CleaningProfile = 'standard';
+
+/**
+ * Checks whether a scoped rule applies to a hostname
+ * @param rule - The scoped rule
+ * @param hostname - Hostname of the URL being cleaned
+ * @returns True if the rule is active for the hostname
+ */
+function isRuleActiveForHost(rule: HostScope, hostname: string): boolean {
+  if (rule.hosts && !rule.hosts.some(pattern => matchesHostPattern(hostname, pattern))) {
+    return false;
+  }
+
+  if (rule.excludeHosts && rule.excludeHosts.some(pattern => matchesHostPattern(hostname, pattern))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Finds the rule that marks a parameter as tracking for the given host
+ * @param key - Parameter name (matched case-insensitively)
+ * @param hostname - Hostname of the URL, or undefined to apply global rules only
+ * @param profile - Cleaning profile; rules below its confidence are ignored
+ * @returns The first matching rule or null if the param is not tracking
+ */
+function matchTrackingParam(
+  key: string,
+  hostname?: string,
+  profile: CleaningProfile = DEFAULT_PROFILE
+): TrackingRule | null {
+  const allowed = PROFILE_CONFIDENCE[profile];
+
+  return TRACKING_RULES.find(rule =>
+    allowed.includes(rule.confidence) &&
+    rule.params.some(pattern => matchesParamPattern(key, pattern)) &&
+    (hostname === undefined ? !isScopedRule(rule) : isRuleActiveForHost(rule, hostname))
+  ) ?? null;
+}
+
+/**
+ * Gets the explanation shown for a removed parameter
+ * @param rule - Matching tracking or path rule
+ * @returns The rule's metadata, ready to spread into a RemovedParam
+ */
+function describeRule(rule: TrackingRule | PathTrackingRule): RuleMetadata {
+  return {
+    rule: rule.id,
+    category: rule.category,
+    vendor: rule.vendor,
+    description: rule.description,
+    confidence: rule.confidence
+  };
+}
+
+/**
+ * Removes tracking segments from a URL pathname
+ * @param pathname - Percent-encoded pathname (e.g. url.pathname)
+ * @param hostname - Hostname of the URL, used to apply host-scoped path rules
+ * @param profile - Cleaning profile; rules below its confidence are ignored
+ * @returns The cleaned pathname and the removed segments (marked `location: 'path'`)
+ * @example
+ * cleanPathSegments('/dp/B0XXXX/ref=sr_1_1', 'www.amazon.com')
+ * // => { pathname: '/dp/B0XXXX', removedParams: [{ key: 'ref', value: 'sr_1_1', rule: 'amazon-ref-segment', location: 'path' }] }
+ */
+function cleanPathSegments(
+  pathname: string,
+  hostname: string,
+  profile: CleaningProfile = DEFAULT_PROFILE
+): { pathname: string; removedParams: RemovedParam[] } {
+  const removedParams: RemovedParam[] = [];
+  let cleanedPath = pathname;
+
+  for (const rule of PATH_TRACKING_RULES) {
+    if (!PROFILE_CONFIDENCE[profile].includes(rule.confidence) || !isRuleActiveForHost(rule, hostname)) {
+      continue;
+    }
+
+    cleanedPath = cleanedPath.replace(rule.pattern, (_match: string, ...groups: unknown[]) => {
+      // Without a capture group the first extra argument is the match offset
+      const value = typeof groups[0] === 'string' ? groups[0] : '';
+      removedParams.push({ key: rule.key, value, ...describeRule(rule), location: 'path' });
+      return '';
+    });
+  }
+
+  return { pathname: cleanedPath || '/', removedParams };
+}
 
 /**
  * Validates if a string is a proper URL
@@ -95,13 +149,19 @@ function isValidUrl(urlString: string): boolean {
  * Handles cases where tracking params are URL-encoded in the hash (e.g., #utm_source%3Dgoogle)
  *
  * @param hashContent - The hash content without the # prefix
+ * @param hostname - Hostname of the URL, used to apply host-scoped rules
+ * @param profile - Cleaning profile; rules below its confidence are ignored
  * @returns Cleaned hash content or null if the entire hash should be removed
  * @example
  * cleanHashFragment('section-1') // => 'section-1' (normal anchor preserved)
  * cleanHashFragment('utm_source%3Dgoogle') // => null (tracking-only hash removed)
  * cleanHashFragment('utm_source%3Dgoogle%26page%3D1') // => 'page=1' (tracking removed, non-tracking kept)
  */
-function cleanHashFragment(hashContent: string): string | null {
+function cleanHashFragment(
+  hashContent: string,
+  hostname?: string,
+  profile: CleaningProfile = DEFAULT_PROFILE
+): string | null {
   if (!hashContent) {
     return null;
   }
@@ -154,12 +214,7 @@ function cleanHashFragment(hashContent: string): string | null {
     let hasAnyTrackingParam = false;
 
     for (const [key, value] of hashParams.entries()) {
-      const paramLower = key.toLowerCase();
-      const isTrackingParam = TRACKING_PARAM_PATTERNS.some(pattern =>
-        paramLower === pattern.toLowerCase()
-      );
-
-      if (isTrackingParam) {
+      if (matchTrackingParam(key, hostname, profile)) {
         hasAnyTrackingParam = true;
       } else {
         cleanedHashParams.append(key, value);
@@ -180,12 +235,162 @@ function cleanHashFragment(hashContent: string): string | null {
   }
 }
 
+/**
+ * Decodes a raw query string key or value the way URLSearchParams does
+ * @param component - Raw component, e.g. `utm_source` or `hello+world%21`
+ * @returns Decoded text (the raw component if it has malformed escapes)
+ */
+function decodeQueryComponent(component: string): string {
+  const spaced = component.replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(spaced);
+  } catch {
+    return spaced;
+  }
+}
+
+/**
+ * Cuts tracking key/value pairs out of a raw query string, keeping every other byte
+ * @param rawQuery - Query string without the leading `?`
+ * @param hostname - Hostname of the URL, used to apply host-scoped rules
+ * @param profile - Cleaning profile; rules below its confidence are ignored
+ * @returns The remaining pairs joined with `&` and the removed params
+ * @example
+ * removeTrackingPairs('q=a%20b&utm_source=x&sig=ab~c', 'example.com')
+ * // => { query: 'q=a%20b&sig=ab~c', removedParams: [{ key: 'utm_source', value: 'x', ... }] }
+ */
+function removeTrackingPairs(
+  rawQuery: string,
+  hostname: string,
+  profile: CleaningProfile = DEFAULT_PROFILE
+): { query: string; removedParams: RemovedParam[] } {
+  const removedParams: RemovedParam[] = [];
+
+  const keptPairs = rawQuery.split('&').filter((pair) => {
+    const separator = pair.indexOf('=');
+    const key = decodeQueryComponent(separator === -1 ? pair : pair.slice(0, separator));
+    const match = pair ? matchTrackingParam(key, hostname, profile) : null;
+
+    if (match) {
+      const value = separator === -1 ? '' : decodeQueryComponent(pair.slice(separator + 1));
+      removedParams.push({ key, value, ...describeRule(match) });
+    }
+
+    return !match;
+  });
+
+  return { query: keptPairs.join('&'), removedParams };
+}
+
+/**
+ * Removes tracking by rebuilding the URL from its parsed parts.
+ * Kept params are re-serialized by URLSearchParams and userinfo is dropped.
+ * @param url - Parsed URL to clean
+ * @param profile - Cleaning profile
+ * @returns The cleaned URL and the removed params
+ */
+function rebuildCleanUrl(url: URL, profile: CleaningProfile): { cleanedUrl: string; removedParams: RemovedParam[] } {
+  const originalParams = new URLSearchParams(url.search);
+  const cleanedParams = new URLSearchParams();
+
+  // Tracking segments in the path (/ref=..., ;jsessionid=...) come first, in URL order
+  const cleanedPath = cleanPathSegments(url.pathname, url.hostname, profile);
+  const removedParams: RemovedParam[] = [...cleanedPath.removedParams];
+
+  // Check each parameter against global and host-scoped tracking rules
+  for (const [key, value] of originalParams.entries()) {
+    const match = matchTrackingParam(key, url.hostname, profile);
+
+    if (match) {
+      removedParams.push({ key, value, ...describeRule(match) });
+    } else {
+      // Keep non-tracking parameters
+      cleanedParams.append(key, value);
+    }
+  }
+
+  // Construct cleaned URL
+  const cleanedUrl = new URL(url.origin + cleanedPath.pathname);
+  
+  // Add remaining parameters if any
+  if (cleanedParams.toString()) {
+    cleanedUrl.search = cleanedParams.toString();
+  }
+  
+  // Handle hash fragment - clean tracking params from URL-encoded hash content
+  if (url.hash) {
+    const hashContent = url.hash.slice(1); // Remove the # prefix
+    const cleanedHash = cleanHashFragment(hashContent, url.hostname, profile);
+
+    if (cleanedHash) {
+      cleanedUrl.hash = '#' + cleanedHash;
+    }
+    // If cleanedHash is null, the hash is entirely tracking data and should be omitted
+  }
+
+  return { cleanedUrl: cleanedUrl.toString(), removedParams };
+}
+
+/**
+ * Removes tracking by cutting it out of the original string (lossless mode).
+ * Scheme, userinfo, host, port, the encoding of kept params and their order stay
+ * byte-for-byte identical, so signed URLs (e.g. S3 presigned links) keep working.
+ * @param urlString - Original URL string
+ * @param hostname - Parsed hostname of the URL, used to apply host-scoped rules
+ * @param profile - Cleaning profile
+ * @returns The cleaned URL and the removed params
+ * @example
+ * cutTrackingFromUrl('https://user:pw@example.com/a?x=%7E&utm_source=y', 'example.com', 'standard').cleanedUrl
+ * // => 'https://user:pw@example.com/a?x=%7E'
+ */
+function cutTrackingFromUrl(
+  urlString: string,
+  hostname: string,
+  profile: CleaningProfile
+): { cleanedUrl: string; removedParams: RemovedParam[] } {
+  const hashIndex = urlString.indexOf('#');
+  const beforeHash = hashIndex === -1 ? urlString : urlString.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? null : urlString.slice(hashIndex + 1);
+
+  const queryIndex = beforeHash.indexOf('?');
+  const beforeQuery = queryIndex === -1 ? beforeHash : beforeHash.slice(0, queryIndex);
+  const query = queryIndex === -1 ? null : beforeHash.slice(queryIndex + 1);
+
+  // Path rules only see the path, never the scheme, userinfo or host
+  const authority = /^[a-z][a-z0-9+.-]*:\/\/[^/]*/i.exec(beforeQuery)?.[0] ?? '';
+  const path = beforeQuery.slice(authority.length);
+  const cleanedPath = cleanPathSegments(path, hostname, profile);
+  const removedParams: RemovedParam[] = [...cleanedPath.removedParams];
+  let cleanedUrl = authority + (cleanedPath.removedParams.length > 0 ? cleanedPath.pathname : path);
+
+  if (query !== null) {
+    const cleanedQuery = removeTrackingPairs(query, hostname, profile);
+    removedParams.push(...cleanedQuery.removedParams);
+
+    // Drop the "?" only when tracking was its whole content
+    if (cleanedQuery.query || cleanedQuery.removedParams.length === 0) {
+      cleanedUrl += '?' + cleanedQuery.query;
+    }
+  }
+
+  if (hash !== null) {
+    // The fragment is never sent to the server, so re-encoding it can't break a signature
+    const cleanedHash = hash ? cleanHashFragment(hash, hostname, profile) : hash;
+    if (cleanedHash !== null) {
+      cleanedUrl += '#' + cleanedHash;
+    }
+  }
+
+  return { cleanedUrl, removedParams };
+}
+
 /**
  * Removes tracking parameters from a URL
  * @param {string} originalUrl - The original URL string
+ * @param {CleanUrlOptions} options - Cleaning options
  * @returns {Object} Result object with cleaned URL and metadata
  */
-function cleanUrl(originalUrl: string): CleanUrlResult {
+function cleanUrl(originalUrl: string, options: CleanUrlOptions = {}): CleanUrlResult {
   // Input validation
   if (!originalUrl || typeof originalUrl !== 'string') {
     return {
@@ -213,48 +418,22 @@ function cleanUrl(originalUrl: string): CleanUrlResult {
   }
 
   try {
-    const url = new URL(trimmedUrl);
-    const originalParams = new URLSearchParams(url.search);
-    const cleanedParams = new URLSearchParams();
-    const removedParams = [];
-
-    // Check each parameter against tracking patterns
-    for (const [key, value] of originalParams.entries()) {
-      const paramLower = key.toLowerCase();
-      
-      // Check if this parameter matches any tracking pattern
-      const isTrackingParam = TRACKING_PARAM_PATTERNS.some(pattern => 
-        paramLower === pattern.toLowerCase()
-      );
-
-      if (isTrackingParam) {
-        removedParams.push({ key, value });
-      } else {
-        // Keep non-tracking parameters
-        cleanedParams.append(key, value);
-      }
-    }
+    // Follow redirect wrappers (google.com/url?q=...) to the real destination first
+    const { url: targetUrl, unwrappedFrom } = options.unwrapRedirects === false
+      ? { url: trimmedUrl, unwrappedFrom: [] }
+      : unwrapRedirectChain(trimmedUrl);
 
-    // Construct cleaned URL
-    const cleanedUrl = new URL(url.origin + url.pathname);
-    
-    // Add remaining parameters if any
-    if (cleanedParams.toString()) {
-      cleanedUrl.search = cleanedParams.toString();
-    }
-    
-    // Handle hash fragment - clean tracking params from URL-encoded hash content
-    if (url.hash) {
-      const hashContent = url.hash.slice(1); // Remove the # prefix
-      const cleanedHash = cleanHashFragment(hashContent);
-
-      if (cleanedHash) {
-        cleanedUrl.hash = '#' + cleanedHash;
-      }
-      // If cleanedHash is null, the hash is entirely tracking data and should be omitted
-    }
+    const url = new URL(targetUrl);
+    const profile = options.profile ?? DEFAULT_PROFILE;
+    const { cleanedUrl, removedParams } = options.lossless
+      ? cutTrackingFromUrl(targetUrl, url.hostname, profile)
+      : rebuildCleanUrl(url, profile);
 
-    const finalCleanedUrl = cleanedUrl.toString();
+    // Opt-in: reduce marketplace product pages to their canonical form (/dp/ASIN)
+    const canonical = options.canonicalize ? canonicalizeUrl(cleanedUrl) : null;
+    const canonicalized = canonical ? { rule: canonical.rule, from: cleanedUrl } : null;
+
+    const finalCleanedUrl = canonical ? canonical.url : cleanedUrl;
 
     return {
       success: true,
@@ -263,8 +442,10 @@ function cleanUrl(originalUrl: string): CleanUrlResult {
       cleanedUrl: finalCleanedUrl,
       removedParams: removedParams,
       removedCount: removedParams.length,
-      hasChanges: removedParams.length > 0,
-      savedBytes: originalUrl.length - finalCleanedUrl.length
+      hasChanges: removedParams.length > 0 || unwrappedFrom.length > 0 || canonicalized !== null,
+      savedBytes: originalUrl.length - finalCleanedUrl.length,
+      unwrappedFrom: unwrappedFrom,
+      canonicalized: canonicalized
     };
 
   } catch (error) {
@@ -282,23 +463,105 @@ function cleanUrl(originalUrl: string): CleanUrlResult {
 /**
  * Batch clean multiple URLs
  * @param {string[]} urls - Array of URL strings to clean
+ * @param {CleanUrlOptions} options - Cleaning options applied to every URL
  * @returns {Object[]} Array of cleaning results
  */
-function cleanUrls(urls: string[]): CleanUrlResult[] {
+function cleanUrls(urls: string[], options: CleanUrlOptions = {}): CleanUrlResult[] {
   if (!Array.isArray(urls)) {
     throw new Error('Input must be an array of URLs');
   }
   
-  return urls.map(url => cleanUrl(url));
+  return urls.map(url => cleanUrl(url, options));
+}
+
+/** http(s) URLs in free text - stops at whitespace, quotes and angle brackets */
+const URL_IN_TEXT_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+
+/**
+ * Trims punctuation that ends the surrounding sentence rather than the URL,
+ * e.g. "see https://a.com/x?utm_source=y." or "(https://a.com/x)"
+ * @param candidate - Raw regex match
+ * @returns The URL part of the match
+ */
+function trimUrlMatch(candidate: string): string {
+  let url = candidate;
+
+  while (url.length > 0) {
+    const last = url[url.length - 1];
+    if (/[.,;:!?'"]/.test(last)) {
+      url = url.slice(0, -1);
+      continue;
+    }
+
+    // Keep balanced brackets that belong to the URL (Wikipedia titles)
+    const opening = last === ')' ? '(' : last === ']' ? '[' : null;
+    if (opening && url.split(opening).length < url.split(last).length) {
+      url = url.slice(0, -1);
+      continue;
+    }
+
+    break;
+  }
+
+  return url;
+}
+
+/**
+ * Finds every http(s) URL in a piece of text
+ * @param text - Arbitrary text
+ * @returns URLs with their position in the text
+ * @example
+ * findUrlsInText('See https://a.com/x?utm_source=y.')
+ * // => [{ url: 'https://a.com/x?utm_source=y', start: 4, end: 32 }]
+ */
+function findUrlsInText(text: string): TextUrlMatch[] {
+  return Array.from(text.matchAll(URL_IN_TEXT_PATTERN), (match) => {
+    const url = trimUrlMatch(match[0]);
+    return { url, start: match.index, end: match.index + url.length };
+  });
+}
+
+/**
+ * Cleans every URL found in a piece of text, leaving the rest of the text as is
+ * @param {string} text - Arbitrary text (a selection, a message, a document)
+ * @param {CleanUrlOptions} options - Cleaning options applied to every URL
+ * @returns {CleanTextResult} Rewritten text and the result for each URL found
+ * @example
+ * cleanText('Read https://a.com/post?utm_source=x now').cleanedText
+ * // => 'Read https://a.com/post now'
+ */
+function cleanText(text: string, options: CleanUrlOptions = {}): CleanTextResult {
+  if (typeof text !== 'string') {
+    throw new Error('Input must be a string');
+  }
+
+  const urls = findUrlsInText(text).map(match => ({ ...match, result: cleanUrl(match.url, options) }));
+
+  // Splice from the end so earlier positions stay valid
+  let cleanedText = text;
+  for (const { start, end, result } of [...urls].reverse()) {
+    if (result.success && result.hasChanges && result.cleanedUrl) {
+      cleanedText = cleanedText.slice(0, start) + result.cleanedUrl + cleanedText.slice(end);
+    }
+  }
+
+  return {
+    originalText: text,
+    cleanedText,
+    hasChanges: cleanedText !== text,
+    removedCount: urls.reduce((count, { result }) => count + result.removedCount, 0),
+    urls
+  };
 }
 
 /**
  * Get statistics about tracking parameters in a URL
  * @param {string} url - The URL to analyze
+ * @param {CleanUrlOptions} options - Cleaning options
  * @returns {AnalyzeUrlResult} Analysis results
  */
-function analyzeUrl(url: string): AnalyzeUrlResult {
-  const result = cleanUrl(url);
+function analyzeUrl(url: string, options: CleanUrlOptions = {}): AnalyzeUrlResult {
+  const result = cleanUrl(url, options);
 
   if (!result.success) {
     // Return error result with empty categories and summary
@@ -324,14 +587,7 @@ function analyzeUrl(url: string): AnalyzeUrlResult {
   }
 
   // Categorize removed parameters
-  const categories: {
-    utm: Array<{ key: string; value: string }>;
-    social: Array<{ key: string; value: string }>;
-    ads: Array<{ key: string; value: string }>;
-    affiliate: Array<{ key: string; value: string }>;
-    email: Array<{ key: string; value: string }>;
-    analytics: Array<{ key: string; value: string }>;
-  } = {
+  const categories: AnalyzeUrlResult['categories'] = {
     utm: [],
     social: [],
     ads: [],
@@ -340,22 +596,9 @@ function analyzeUrl(url: string): AnalyzeUrlResult {
     analytics: []
   };
 
-  result.removedParams.forEach(({ key, value }) => {
-    const paramLower = key.toLowerCase();
-    
-    if (paramLower.startsWith('utm_')) {
-      categories.utm.push({ key, value });
-    } else if (['fbclid', 'igshid', 'ttclid', 'tiktok_r', 'li_fat_id', 'mkt_tok', 'trk'].includes(paramLower)) {
-      categories.social.push({ key, value });
-    } else if (['gclid', 'yclid', 'dclid', 'msclkid', 'gad_source', 'gad_campaignid', 'gbraid', 'utm_ad', 'matchtype', 'campaign_id', 'ad_id'].includes(paramLower)) {
-      categories.ads.push({ key, value });
-    } else if (['ref', 'referral', 'referrer', 'affiliate_id', 'afid', 'click_id', 'clickid', 'subid', 'sub_id', 'partner_id', 'sr_share', 'tag', 'linkcode', 'linkid', 'ascsubtag', 'camp', 'creative', 'pd_rd_i', 'pd_rd_r', 'pd_rd_w', 'pd_rd_wg'].includes(paramLower)) {
-      categories.affiliate.push({ key, value });
-    } else if (['ck_subscriber_id', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi'].includes(paramLower)) {
-      categories.email.push({ key, value });
-    } else {
-      categories.analytics.push({ key, value });
-    }
+  // Every removed param carries the category of the rule that matched it
+  result.removedParams.forEach((param) => {
+    categories[param.category].push(param);
   });
 
   return {
@@ -373,9 +616,26 @@ function analyzeUrl(url: string): AnalyzeUrlResult {
 }
 
 // TypeScript type definitions
-export interface RemovedParam {
+/** Cleaning strength, see PROFILE_CONFIDENCE */
+export type CleaningProfile = 'safe' | 'standard' | 'aggressive';
+
+/** Explanation of why a parameter was removed */
+export interface RuleMetadata {
+  /** Id of the rule that matched */
+  rule: string;
+  category: TrackingCategory;
+  /** Company or system that uses the parameter ('Generic' for common names) */
+  vendor: string;
+  /** Short human-readable explanation, e.g. "Meta click identifier" */
+  description: string;
+  confidence: Confidence;
+}
+
+export interface RemovedParam extends RuleMetadata {
   key: string;
   value: string;
+  /** Where the tracking was found (absent for the query string) */
+  location?: 'path';
 }
 
 export interface CleanUrlResult {
@@ -387,6 +647,55 @@ export interface CleanUrlResult {
   removedCount: number;
   hasChanges?: boolean;
   savedBytes?: number;
+  /** Redirect wrappers that were unwrapped to reach the cleaned URL (outermost first) */
+  unwrappedFrom?: UnwrapStep[];
+  /** Canonical rewrite applied on top of tracking removal (null when none) */
+  canonicalized?: CanonicalChange | null;
+}
+
+export interface CanonicalChange {
+  /** Id of the canonical URL rule that was applied */
+  rule: string;
+  /** The cleaned URL before it was canonicalized */
+  from: string;
+}
+
+export interface CleanUrlOptions {
+  /** Follow known redirect wrappers to their destination (default: true) */
+  unwrapRedirects?: boolean;
+  /** Rewrite known marketplace product URLs to their canonical form (default: false) */
+  canonicalize?: boolean;
+  /** Cleaning strength (default: 'standard') */
+  profile?: CleaningProfile;
+  /**
+   * Cut tracking out of the original string instead of rebuilding the URL, so
+   * every other byte (encoding, userinfo, empty params) is kept (default: false)
+   */
+  lossless?: boolean;
+}
+
+export interface TextUrlMatch {
+  /** URL as it appears in the text */
+  url: string;
+  /** Index of the URL's first character in the original text */
+  start: number;
+  /** Index just past the URL's last character in the original text */
+  end: number;
+}
+
+export interface CleanTextUrl extends TextUrlMatch {
+  result: CleanUrlResult;
+}
+
+export interface CleanTextResult {
+  originalText: string;
+  /** Text with every cleaned URL swapped in */
+  cleanedText: string;
+  hasChanges: boolean;
+  /** Tracking parameters removed across all URLs */
+  removedCount: number;
+  /** Every URL found, in order of appearance */
+  urls: CleanTextUrl[];
 }
 
 export interface AnalyzeUrlResult extends CleanUrlResult {
@@ -412,8 +721,16 @@ export interface AnalyzeUrlResult extends CleanUrlResult {
 export {
   cleanUrl,
   cleanUrls,
+  cleanText,
+  findUrlsInText,
   analyzeUrl,
   isValidUrl,
   cleanHashFragment,
-  TRACKING_PARAM_PATTERNS
+  cleanPathSegments,
+  removeTrackingPairs,
+  matchTrackingParam,
+  TRACKING_PARAM_PATTERNS,
+  SCOPED_TRACKING_RULES,
+  PROFILE_CONFIDENCE,
+  DEFAULT_PROFILE
 };
@@ -0,0 +1,154 @@
+/**
+ * Clean URL - Clipboard
+ * Service workers have no clipboard access, so the background copies through an
+ * offscreen document (entrypoints/offscreen/) running document.execCommand('copy').
+ * Links can also be copied as text/html, so pasting into rich editors keeps the page title.
+ */
+
+/** Offscreen document built from entrypoints/offscreen/index.html */
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+/** Message target that only the offscreen document answers */
+const OFFSCREEN_TARGET = 'offscreen';
+
+/** Offscreen document being created, so concurrent copies don't create two */
+let creatingOffscreenDocument: Promise<void> | null = null;
+
+/**
+ * Escapes text for use in HTML markup
+ * @param text - Plain text
+ * @returns Text safe to put in an element or a quoted attribute
+ */
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Builds what to put on the clipboard for a URL
+ * @param url - URL to copy
+ * @param title - Page title to use as the link text (rich copy only)
+ * @param rich - Also copy a text/html link (default: false)
+ * @returns Plain text, plus an HTML link when rich and a title is known
+ * @example
+ * buildClipboardContent('https://a.com/', 'A & B', true)
+ * // => { text: 'https://a.com/', html: '<a href="https://a.com/">A &amp; B</a>' }
+ */
+function buildClipboardContent(url: string, title?: string, rich: boolean = false): ClipboardContent {
+  const linkText = title?.trim();
+  if (!rich || !linkText) {
+    return { text: url };
+  }
+
+  return { text: url, html: `<a href="${escapeHtml(url)}">${escapeHtml(linkText)}</a>` };
+}
+
+/**
+ * Formats a link as Markdown
+ * @param url - Link target
+ * @param text - Link text; the URL itself when empty
+ * @returns Markdown link with brackets in the text and parentheses in the URL escaped
+ * @example
+ * buildMarkdownLink('https://a.com/wiki/X_(Y)', 'X [Y]')
+ * // => '[X \[Y\]](https://a.com/wiki/X_%28Y%29)'
+ */
+function buildMarkdownLink(url: string, text?: string): string {
+  const linkText = (text?.replace(/\s+/g, ' ').trim() || url).replace(/([\\[\]])/g, '\\$1');
+  return `[${linkText}](${url.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+}
+
+/**
+ * Copies content with document.execCommand('copy'), setting every format in the
+ * copy event. Works without focus, unlike navigator.clipboard.
+ * @param root - Document to copy from (the offscreen document or the popup)
+ * @param content - Content to copy
+ * @returns True if the browser ran the copy
+ */
+function writeClipboardContent(root: Document, content: ClipboardContent): boolean {
+  const setData = (event: ClipboardEvent) => {
+    event.clipboardData?.setData('text/plain', content.text);
+    if (content.html) {
+      event.clipboardData?.setData('text/html', content.html);
+    }
+    event.preventDefault();
+  };
+
+  // execCommand('copy') needs a selection to copy from
+  const textArea = root.createElement('textarea');
+  textArea.value = content.text;
+  root.body.appendChild(textArea);
+  textArea.select();
+
+  root.addEventListener('copy', setData);
+  try {
+    return root.execCommand('copy');
+  } finally {
+    root.removeEventListener('copy', setData);
+    textArea.remove();
+  }
+}
+
+/**
+ * Creates the offscreen document unless it is already open
+ */
+async function ensureOffscreenDocument() {
+  const url = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT' as chrome.runtime.ContextType],
+    documentUrls: [url]
+  });
+
+  if (contexts.length > 0) {
+    return;
+  }
+
+  creatingOffscreenDocument ??= chrome.offscreen.createDocument({
+    url: OFFSCREEN_DOCUMENT_PATH,
+    reasons: ['CLIPBOARD' as chrome.offscreen.Reason],
+    justification: 'Copy cleaned URLs to the clipboard'
+  }).finally(() => {
+    creatingOffscreenDocument = null;
+  });
+
+  await creatingOffscreenDocument;
+}
+
+/**
+ * Copies content to the clipboard from the background service worker
+ * @param content - Content to copy (see buildClipboardContent)
+ * @returns True if the content was copied
+ */
+async function copyToClipboard(content: ClipboardContent): Promise<boolean> {
+  await ensureOffscreenDocument();
+
+  const message: OffscreenClipboardMessage = { target: OFFSCREEN_TARGET, action: 'writeClipboard', content };
+  const response = await chrome.runtime.sendMessage(message) as { success?: boolean } | undefined;
+  return response?.success === true;
+}
+
+// TypeScript type definitions
+export interface ClipboardContent {
+  /** text/plain - the URL itself */
+  text: string;
+  /** text/html - a link with the page title as its text */
+  html?: string;
+}
+
+export interface OffscreenClipboardMessage {
+  target: typeof OFFSCREEN_TARGET;
+  action: 'writeClipboard';
+  content: ClipboardContent;
+}
+
+export {
+  buildClipboardContent,
+  buildMarkdownLink,
+  copyToClipboard,
+  writeClipboardContent,
+  OFFSCREEN_DOCUMENT_PATH,
+  OFFSCREEN_TARGET
+};
@@ -7,12 +7,27 @@
  * Badge configuration for extension icon
  */
 export const BADGE = {
-  /** Background color when tracking parameters are found (red) */
-  TRACKING_COLOR: '#e53e3e',
   /** Default badge background color (purple/blue) */
   DEFAULT_COLOR: '#667eea',
+  /** Badge background color by the most serious category found */
+  CATEGORY_COLORS: {
+    email: '#9b2c2c',     // Dark red - subscriber IDs tie the visit to your email address
+    social: '#e53e3e',    // Red - social network click and share IDs
+    ads: '#dd6b20',       // Orange - ad click IDs
+    affiliate: '#d69e2e', // Yellow - affiliate and referral tags
+    analytics: '#805ad5', // Purple - internal analytics markers
+    utm: '#3182ce'        // Blue - campaign labels
+  },
+  /** Categories from most to least serious (identifies you > identifies the click > labels the campaign) */
+  CATEGORY_SEVERITY: ['email', 'social', 'ads', 'affiliate', 'analytics', 'utm'],
+  /** Badge text when the badge style is "dot" */
+  DOT_TEXT: '•',
   /** Maximum badge count display before showing "99+" */
-  MAX_COUNT: 99
+  MAX_COUNT: 99,
+  /** Tracking parameters listed in the icon tooltip before "and N more" */
+  MAX_TITLE_PARAMS: 10,
+  /** Icon tooltip when nothing was found */
+  DEFAULT_TITLE: 'Clean URL'
 } as const;
 
 /**
@@ -69,3 +84,21 @@ export const CACHE = {
   /** Maximum number of cached entries */
   MAX_ENTRIES: 100
 } as const;
+
+/**
+ * External messaging API (utils/external-api.ts)
+ * Who may call it is decided at build time: the allowlists are read from the
+ * environment variables below (comma-separated, also from .env files) into
+ * the manifest's `externally_connectable` key. Both empty - the default -
+ * leaves the API closed to everyone.
+ */
+export const EXTERNAL_API = {
+  /** Version sent back in every response; requests must be written for this version */
+  VERSION: 1,
+  /** Maximum number of URLs in one cleanBatch request */
+  MAX_BATCH_SIZE: 100,
+  /** Environment variable listing the extension ids allowed to call the API */
+  EXTENSION_IDS_ENV: 'CLEAN_URL_API_EXTENSION_IDS',
+  /** Environment variable listing the web page origins allowed to call the API, e.g. 'https://example.com' */
+  ORIGINS_ENV: 'CLEAN_URL_API_ORIGINS'
+} as const;
@@ -0,0 +1,97 @@
+/**
+ * Clean URL - Content Script Registration
+ * Content scripts only run where the user turned them on, so they are
+ * registered at runtime from the settings instead of in the manifest.
+ */
+
+import type { Settings } from './settings';
+
+/** Id and built file of the link-cleaner content script (entrypoints/link-cleaner.content.ts) */
+const LINK_CLEANER_SCRIPT = {
+  ID: 'link-cleaner',
+  FILE: 'content-scripts/link-cleaner.js'
+} as const;
+
+/** Id and built file of the copy-cleaner content script (entrypoints/copy-cleaner.content.ts) */
+const COPY_CLEANER_SCRIPT = {
+  ID: 'copy-cleaner',
+  FILE: 'content-scripts/copy-cleaner.js'
+} as const;
+
+/** Match pattern of the optional "access to all sites" permission */
+const ALL_SITES_PATTERN = '<all_urls>';
+
+/**
+ * Builds the match pattern for one site
+ * @param host - Hostname, e.g. "www.example.com"
+ * @returns Match pattern covering http and https pages of the host
+ * @example
+ * siteMatchPattern('news.example.com') // => '*://news.example.com/*'
+ */
+function siteMatchPattern(host: string): string {
+  return `*://${host}/*`;
+}
+
+/**
+ * Registers a content script for the given pages, replacing any earlier
+ * registration. With no pages, the script is only unregistered.
+ * @param script - Id and file of the script
+ * @param matches - Match patterns to run the script on
+ * @param allFrames - Also run in frames (default: false)
+ */
+async function syncContentScript(
+  script: { ID: string; FILE: string },
+  matches: string[],
+  allFrames: boolean = false
+) {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [script.ID] });
+
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [script.ID] });
+  }
+
+  if (matches.length > 0) {
+    await chrome.scripting.registerContentScripts([{
+      id: script.ID,
+      js: [script.FILE],
+      matches,
+      allFrames,
+      runAt: 'document_idle',
+      persistAcrossSessions: true
+    }]);
+  }
+}
+
+/**
+ * Registers the link cleaner for the sites enabled in the settings,
+ * replacing any earlier registration
+ * @param settings - Current settings
+ * @returns Match patterns the script is now registered for
+ */
+async function syncLinkCleanerScript(settings: Settings): Promise<string[]> {
+  const matches = Object.keys(settings.linkCleaningSites).map(siteMatchPattern);
+  await syncContentScript(LINK_CLEANER_SCRIPT, matches);
+  return matches;
+}
+
+/**
+ * Registers the copy cleaner on all sites when cleaning on copy is on,
+ * and unregisters it otherwise
+ * @param settings - Current settings
+ * @returns Match patterns the script is now registered for
+ */
+async function syncCopyCleanerScript(settings: Settings): Promise<string[]> {
+  // Text can be copied from any frame, including embedded posts and editors
+  const matches = settings.cleanOnCopy ? [ALL_SITES_PATTERN] : [];
+  await syncContentScript(COPY_CLEANER_SCRIPT, matches, true);
+  return matches;
+}
+
+export {
+  syncLinkCleanerScript,
+  syncCopyCleanerScript,
+  siteMatchPattern,
+  ALL_SITES_PATTERN,
+  COPY_CLEANER_SCRIPT,
+  LINK_CLEANER_SCRIPT
+};
@@ -0,0 +1,109 @@
+/**
+ * Clean URL - Context Menus
+ * The right-click menu: one "Clean URL" submenu whose items depend on what
+ * was clicked (page, link, selection, image or video).
+ */
+
+/** Id of the submenu holding every item */
+const CONTEXT_MENU_ROOT_ID = 'clean-url';
+
+/** Only offer page and link actions for web URLs */
+const WEB_URL_PATTERNS = ['http://*/*', 'https://*/*'];
+
+/** Items of the submenu, in display order (ids are handled in background.ts) */
+const CONTEXT_MENU_ITEMS: chrome.contextMenus.CreateProperties[] = [
+  {
+    id: 'clean-current-url',
+    title: 'Open with cleaned URL',
+    contexts: ['page'],
+    documentUrlPatterns: WEB_URL_PATTERNS
+  },
+  {
+    id: 'open-clean-link-here',
+    title: 'Open clean link in this tab',
+    contexts: ['link'],
+    targetUrlPatterns: WEB_URL_PATTERNS
+  },
+  {
+    id: 'clean-link-url',
+    title: 'Open clean link in new tab',
+    contexts: ['link'],
+    targetUrlPatterns: WEB_URL_PATTERNS
+  },
+  {
+    id: 'open-clean-link-incognito',
+    title: 'Open clean link in incognito window',
+    contexts: ['link'],
+    targetUrlPatterns: WEB_URL_PATTERNS
+  },
+  {
+    id: 'link-separator',
+    type: 'separator',
+    contexts: ['link'],
+    targetUrlPatterns: WEB_URL_PATTERNS
+  },
+  {
+    id: 'copy-clean-link',
+    title: 'Copy clean link',
+    contexts: ['link'],
+    targetUrlPatterns: WEB_URL_PATTERNS
+  },
+  {
+    id: 'copy-clean-link-markdown',
+    title: 'Copy clean link as Markdown',
+    contexts: ['link'],
+    targetUrlPatterns: WEB_URL_PATTERNS
+  },
+  {
+    id: 'clean-selection',
+    title: 'Copy selection with clean links',
+    contexts: ['selection']
+  },
+  {
+    id: 'copy-clean-media-url',
+    title: 'Copy clean media URL',
+    contexts: ['image', 'video'],
+    targetUrlPatterns: WEB_URL_PATTERNS
+  }
+];
+
+/**
+ * Creates the "Clean URL" submenu, replacing any menus left from an earlier version
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CONTEXT_MENU_ROOT_ID,
+      title: 'Clean URL',
+      contexts: ['page', 'link', 'selection', 'image', 'video']
+    });
+
+    for (const item of CONTEXT_MENU_ITEMS) {
+      chrome.contextMenus.create({ ...item, parentId: CONTEXT_MENU_ROOT_ID });
+    }
+  });
+}
+
+/**
+ * Injected into the page: reads the text of the link that was right-clicked.
+ * Chrome's click data has the link URL but not its text.
+ * Must be self-contained - chrome.scripting serializes it.
+ * @param linkUrl - URL of the clicked link
+ * @returns The link's visible text, or null if no link with that URL has any
+ */
+function findLinkText(linkUrl: string): string | null {
+  for (const anchor of Array.from(document.querySelectorAll('a[href]')) as HTMLAnchorElement[]) {
+    const text = anchor.innerText?.trim() || anchor.textContent?.trim();
+    if (anchor.href === linkUrl && text) {
+      return text;
+    }
+  }
+  return null;
+}
+
+export {
+  createContextMenus,
+  findLinkText,
+  CONTEXT_MENU_ITEMS,
+  CONTEXT_MENU_ROOT_ID
+};
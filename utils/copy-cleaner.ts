@@ -0,0 +1,140 @@
+/**
+ * Clean URL - Cleaning URLs on Copy
+ * Swaps tracked URLs in copied text and links for their cleaned form. Runs in the
+ * copy-cleaner content script when "Clean links when copying" is on.
+ */
+
+import { cleanText, cleanUrl, type CleanUrlOptions } from './clean-url-logic';
+
+/**
+ * Reads the selection of the focused text field, if the copy comes from one
+ * @param root - Document the copy happened in
+ * @returns Selected text of the field, or null if no field text is selected
+ */
+function getFieldSelection(root: Document): string | null {
+  const field = root.activeElement;
+
+  // Selections inside text fields don't show up in document.getSelection()
+  if ((field instanceof HTMLInputElement || field instanceof HTMLTextAreaElement) &&
+    field.selectionStart !== null && field.selectionEnd !== null &&
+    field.selectionStart !== field.selectionEnd) {
+    return field.value.slice(field.selectionStart, field.selectionEnd);
+  }
+
+  return null;
+}
+
+/**
+ * Reads the text the user is copying
+ * @param root - Document the copy happened in
+ * @returns Selected text of the focused text field, or of the page
+ */
+function getCopiedText(root: Document): string {
+  return getFieldSelection(root) ?? root.getSelection()?.toString() ?? '';
+}
+
+/**
+ * Builds the rich (text/html) version of the copied page selection, with
+ * link targets and URLs in the text cleaned
+ * @param root - Document the copy happened in
+ * @param options - Options passed to cleanUrl and cleanText
+ * @returns Serialized selection and whether anything was cleaned, or null
+ *   when the copy comes from a text field (which has no rich version)
+ */
+function getCleanedCopiedHtml(root: Document, options: CleanUrlOptions): CleanedHtml | null {
+  const selection = root.getSelection();
+  if (getFieldSelection(root) !== null || !selection || selection.rangeCount === 0) {
+    return null;
+  }
+
+  const container = root.createElement('div');
+  for (let index = 0; index < selection.rangeCount; index++) {
+    container.append(selection.getRangeAt(index).cloneContents());
+  }
+
+  let hasChanges = false;
+
+  // Cloned nodes belong to the page, so relative hrefs still resolve against it
+  container.querySelectorAll<HTMLAnchorElement>('a[href]').forEach((anchor) => {
+    if (!/^https?:$/.test(anchor.protocol)) {
+      return;
+    }
+    const result = cleanUrl(anchor.href, options);
+    if (result.success && result.hasChanges && result.cleanedUrl) {
+      anchor.href = result.cleanedUrl;
+      hasChanges = true;
+    }
+  });
+
+  const walker = root.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const result = cleanText(node.nodeValue ?? '', options);
+    if (result.hasChanges) {
+      node.nodeValue = result.cleanedText;
+      hasChanges = true;
+    }
+  }
+
+  return { html: container.innerHTML, hasChanges };
+}
+
+/**
+ * Puts the cleaned copy on the clipboard if it has tracked URLs - as plain
+ * text and, for page selections, as HTML so pasting keeps the formatting
+ * @param event - copy event
+ * @param root - Document the copy happened in
+ * @param options - Options passed to cleanText
+ * @returns True if the clipboard got the cleaned copy
+ */
+function handleCopyEvent(event: ClipboardEvent, root: Document, options: CleanUrlOptions): boolean {
+  // The page already put its own data on the clipboard
+  if (event.defaultPrevented || !event.clipboardData) {
+    return false;
+  }
+
+  const text = cleanText(getCopiedText(root), options);
+  const html = getCleanedCopiedHtml(root, options);
+  if (!text.hasChanges && !html?.hasChanges) {
+    return false;
+  }
+
+  event.clipboardData.setData('text/plain', text.cleanedText);
+  if (html) {
+    event.clipboardData.setData('text/html', html.html);
+  }
+  event.preventDefault();
+  return true;
+}
+
+/**
+ * Cleans URLs in everything copied from a page
+ * @param root - Document to listen on
+ * @param options - Options passed to cleanText
+ * @returns Function that stops cleaning
+ * @example
+ * const stop = startCopyCleaner(document, { profile: 'standard' });
+ */
+function startCopyCleaner(root: Document, options: CleanUrlOptions): () => void {
+  const listener = (event: ClipboardEvent) => {
+    handleCopyEvent(event, root, options);
+  };
+
+  // Bubble phase, so copy handlers of the page run first
+  root.addEventListener('copy', listener);
+  return () => root.removeEventListener('copy', listener);
+}
+
+// TypeScript type definitions
+export interface CleanedHtml {
+  /** Serialized selection */
+  html: string;
+  /** A link target or URL in the text was cleaned */
+  hasChanges: boolean;
+}
+
+export {
+  getCopiedText,
+  getCleanedCopiedHtml,
+  handleCopyEvent,
+  startCopyCleaner
+};
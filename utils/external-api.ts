@@ -0,0 +1,287 @@
+/**
+ * Clean URL - External Messaging API
+ * Lets allowlisted extensions and web pages clean URLs with
+ * chrome.runtime.sendMessage(CLEAN_URL_EXTENSION_ID, request).
+ *
+ * Every request carries the API version and an action; every response is
+ * either `{ version, ok: true, result }` or `{ version, ok: false, error: { code, message } }`.
+ * Cleaning uses the user's own settings (profile, lossless mode, ...).
+ */
+
+import { analyzeUrl, type AnalyzeUrlResult, type CleanUrlOptions, type RemovedParam } from './clean-url-logic';
+import { EXTERNAL_API } from './config';
+import { PATH_TRACKING_RULES, TRACKING_RULES, type ParamPattern } from './tracking-rules';
+
+/** Structured error codes of the external API */
+const EXTERNAL_API_ERRORS = {
+  /** The sender isn't on the allowlist */
+  FORBIDDEN: 'FORBIDDEN',
+  /** The request isn't an object with a version and an action */
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  /** The request was written for another version of the API */
+  UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+  /** The action isn't one of EXTERNAL_API_ACTIONS */
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  /** A URL is missing, not a string, or can't be parsed */
+  INVALID_URL: 'INVALID_URL',
+  /** cleanBatch got more than EXTERNAL_API.MAX_BATCH_SIZE URLs */
+  BATCH_TOO_LARGE: 'BATCH_TOO_LARGE',
+  /** Something went wrong inside the extension */
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+} as const;
+
+/** Actions of the external API */
+const EXTERNAL_API_ACTIONS = ['clean', 'analyze', 'cleanBatch', 'getRules'] as const;
+
+/**
+ * Reads the allowlists the extension was built with from its manifest
+ * (see EXTERNAL_API in config.ts)
+ * @returns Allowlisted extension ids and web page origins
+ */
+function getExternalApiAllowlist(): { ids: string[]; origins: string[] } {
+  const connectable = chrome.runtime.getManifest().externally_connectable;
+  return {
+    ids: connectable?.ids ?? [],
+    origins: (connectable?.matches ?? []).map(match => match.replace(/\/\*$/, ''))
+  };
+}
+
+/**
+ * Checks that a message comes from an allowlisted extension or web page.
+ * Chrome already enforces `externally_connectable`; this keeps the API closed
+ * even if the manifest key is loosened or dropped by mistake.
+ * @param sender - Sender of the external message
+ * @param allowedIds - Allowlisted extension ids (default: the manifest's)
+ * @param allowedOrigins - Allowlisted web page origins (default: the manifest's)
+ * @returns True if the sender may use the API
+ */
+function isAllowedSender(
+  sender: chrome.runtime.MessageSender,
+  allowedIds: readonly string[] = getExternalApiAllowlist().ids,
+  allowedOrigins: readonly string[] = getExternalApiAllowlist().origins
+): boolean {
+  // Web pages have an origin; other extensions only have their id
+  if (sender.origin && !sender.origin.startsWith('chrome-extension://')) {
+    return allowedOrigins.includes(sender.origin);
+  }
+  return !!sender.id && allowedIds.includes(sender.id);
+}
+
+/**
+ * Builds an error response
+ * @param code - Error code
+ * @param message - Human-readable explanation
+ */
+function errorResponse(code: ExternalApiErrorCode, message: string): ExternalApiErrorResponse {
+  return { version: EXTERNAL_API.VERSION, ok: false, error: { code, message } };
+}
+
+/**
+ * Builds a success response
+ * @param result - Result of the action
+ */
+function successResponse<T>(result: T): ExternalApiSuccessResponse<T> {
+  return { version: EXTERNAL_API.VERSION, ok: true, result };
+}
+
+/**
+ * Cleans one URL for the API
+ * @param url - Value sent as the URL
+ * @param options - Cleaning options
+ * @returns Clean result, or an INVALID_URL error
+ */
+function cleanForApi(url: unknown, options: CleanUrlOptions): ExternalApiResponse<ExternalCleanResult> {
+  if (typeof url !== 'string' || url === '') {
+    return errorResponse(EXTERNAL_API_ERRORS.INVALID_URL, 'url must be a non-empty string');
+  }
+
+  const result = analyzeUrl(url, options);
+  if (!result.success || !result.cleanedUrl) {
+    return errorResponse(EXTERNAL_API_ERRORS.INVALID_URL, result.error ?? 'Invalid URL');
+  }
+
+  return successResponse({
+    originalUrl: result.originalUrl,
+    cleanedUrl: result.cleanedUrl,
+    hasChanges: !!result.hasChanges,
+    removedCount: result.removedCount,
+    removedParams: result.removedParams,
+    summary: result.summary
+  });
+}
+
+/**
+ * Turns a parameter pattern into a string that survives JSON messaging
+ * @param pattern - Exact name, glob or regular expression
+ * @returns The name or glob, or the expression as "/source/flags"
+ */
+function serializeParamPattern(pattern: ParamPattern): string {
+  return typeof pattern === 'string' ? pattern : pattern.toString();
+}
+
+/**
+ * Lists the tracking rules in a JSON-safe form
+ * @returns Query parameter rules and path segment rules
+ */
+function getRulesForApi(): ExternalRulesResult {
+  return {
+    rules: TRACKING_RULES.map(rule => ({ ...rule, params: rule.params.map(serializeParamPattern) })),
+    pathRules: PATH_TRACKING_RULES.map(({ pattern, ...rule }) => ({ ...rule, pattern: pattern.toString() }))
+  };
+}
+
+/**
+ * Answers one request to the external API
+ * @param request - Message received from another extension or a web page
+ * @param sender - Sender of the message
+ * @param options - Cleaning options from the user's settings
+ * @returns Response to send back
+ * @example
+ * handleExternalRequest({ version: 1, action: 'clean', url: 'https://a.com/?utm_source=x' }, sender, options)
+ * // => { version: 1, ok: true, result: { cleanedUrl: 'https://a.com/', removedCount: 1, ... } }
+ */
+function handleExternalRequest(
+  request: unknown,
+  sender: chrome.runtime.MessageSender,
+  options: CleanUrlOptions = {}
+): ExternalApiResponse {
+  if (!isAllowedSender(sender)) {
+    return errorResponse(EXTERNAL_API_ERRORS.FORBIDDEN, 'Sender is not allowed to use the Clean URL API');
+  }
+
+  if (typeof request !== 'object' || request === null || Array.isArray(request)) {
+    return errorResponse(EXTERNAL_API_ERRORS.INVALID_REQUEST, 'Request must be an object');
+  }
+
+  const { version, action } = request as Record<string, unknown>;
+  if (typeof version !== 'number') {
+    return errorResponse(EXTERNAL_API_ERRORS.INVALID_REQUEST, 'version must be a number');
+  }
+  if (version !== EXTERNAL_API.VERSION) {
+    return errorResponse(EXTERNAL_API_ERRORS.UNSUPPORTED_VERSION, `Only version ${EXTERNAL_API.VERSION} is supported`);
+  }
+
+  try {
+    switch (action) {
+      case 'clean':
+      case 'analyze': {
+        const response = cleanForApi((request as ExternalCleanRequest).url, options);
+        if (!response.ok || action === 'analyze') {
+          return response;
+        }
+        // clean leaves out the per-category breakdown
+        const { summary, ...result } = response.result;
+        return successResponse(result);
+      }
+
+      case 'cleanBatch': {
+        const { urls } = request as ExternalCleanBatchRequest;
+        if (!Array.isArray(urls)) {
+          return errorResponse(EXTERNAL_API_ERRORS.INVALID_REQUEST, 'urls must be an array');
+        }
+        if (urls.length > EXTERNAL_API.MAX_BATCH_SIZE) {
+          return errorResponse(
+            EXTERNAL_API_ERRORS.BATCH_TOO_LARGE,
+            `cleanBatch takes at most ${EXTERNAL_API.MAX_BATCH_SIZE} URLs`
+          );
+        }
+        // One bad URL doesn't fail the batch - each entry has its own result or error
+        return successResponse(urls.map((url): ExternalBatchEntry => {
+          const response = cleanForApi(url, options);
+          if (!response.ok) {
+            return { ok: false, error: response.error };
+          }
+          const { summary, ...result } = response.result;
+          return { ok: true, result };
+        }));
+      }
+
+      case 'getRules':
+        return successResponse(getRulesForApi());
+
+      default:
+        return errorResponse(
+          EXTERNAL_API_ERRORS.UNKNOWN_ACTION,
+          `action must be one of ${EXTERNAL_API_ACTIONS.join(', ')}`
+        );
+    }
+  } catch (error) {
+    console.error('Error answering external request:', error);
+    return errorResponse(EXTERNAL_API_ERRORS.INTERNAL_ERROR, 'Failed to handle the request');
+  }
+}
+
+// TypeScript type definitions
+export type ExternalApiAction = typeof EXTERNAL_API_ACTIONS[number];
+
+export type ExternalApiErrorCode = typeof EXTERNAL_API_ERRORS[keyof typeof EXTERNAL_API_ERRORS];
+
+interface ExternalRequestBase {
+  /** API version the request was written for (EXTERNAL_API.VERSION) */
+  version: number;
+}
+
+export interface ExternalCleanRequest extends ExternalRequestBase {
+  action: 'clean' | 'analyze';
+  url: string;
+}
+
+export interface ExternalCleanBatchRequest extends ExternalRequestBase {
+  action: 'cleanBatch';
+  /** At most EXTERNAL_API.MAX_BATCH_SIZE URLs */
+  urls: string[];
+}
+
+export interface ExternalGetRulesRequest extends ExternalRequestBase {
+  action: 'getRules';
+}
+
+export type ExternalApiRequest = ExternalCleanRequest | ExternalCleanBatchRequest | ExternalGetRulesRequest;
+
+export interface ExternalApiError {
+  code: ExternalApiErrorCode;
+  message: string;
+}
+
+export interface ExternalApiSuccessResponse<T = unknown> {
+  version: number;
+  ok: true;
+  result: T;
+}
+
+export interface ExternalApiErrorResponse {
+  version: number;
+  ok: false;
+  error: ExternalApiError;
+}
+
+export type ExternalApiResponse<T = unknown> = ExternalApiSuccessResponse<T> | ExternalApiErrorResponse;
+
+/** Result of `analyze`; `clean` returns the same without `summary` */
+export interface ExternalCleanResult {
+  originalUrl: string;
+  cleanedUrl: string;
+  hasChanges: boolean;
+  removedCount: number;
+  removedParams: RemovedParam[];
+  summary: AnalyzeUrlResult['summary'];
+}
+
+/** One entry of the `cleanBatch` result, in the order of the request's urls */
+export type ExternalBatchEntry =
+  | { ok: true; result: Omit<ExternalCleanResult, 'summary'> }
+  | { ok: false; error: ExternalApiError };
+
+/** Result of `getRules`; regular expressions are sent as "/source/flags" strings */
+export interface ExternalRulesResult {
+  rules: Array<Omit<typeof TRACKING_RULES[number], 'params'> & { params: string[] }>;
+  pathRules: Array<Omit<typeof PATH_TRACKING_RULES[number], 'pattern'> & { pattern: string }>;
+}
+
+export {
+  getExternalApiAllowlist,
+  handleExternalRequest,
+  isAllowedSender,
+  EXTERNAL_API_ACTIONS,
+  EXTERNAL_API_ERRORS
+};
@@ -0,0 +1,238 @@
+/**
+ * Clean URL - Browsing History Privacy Report
+ * Runs the pages in chrome.history through analyzeUrl and sums up which
+ * vendors tracked the user, and on which sites. Everything is computed in the
+ * extension; history entries are only changed when the user asks to.
+ */
+
+import { analyzeUrl, type AnalyzeUrlResult, type CleanUrlOptions, type RemovedParam } from './clean-url-logic';
+
+/** Most history entries read in one scan */
+const HISTORY_SEARCH_LIMIT = 10000;
+
+/**
+ * Reads the site a URL belongs to, without a leading "www."
+ * @param url - Page URL
+ * @returns Hostname, e.g. "example.com"
+ */
+function getDomain(url: string): string {
+  return new URL(url).hostname.replace(/^www\./, '');
+}
+
+/**
+ * Finds the history entries with tracking parameters. Pages that would only be
+ * unwrapped from a redirector or shortened to their canonical form have no
+ * tracker to report, so they aren't counted as tracked.
+ * @param items - Entries from chrome.history.search
+ * @param options - Cleaning options
+ * @returns Tracked entries, in the order given
+ */
+function findTrackedHistoryEntries(
+  items: chrome.history.HistoryItem[],
+  options: CleanUrlOptions = {}
+): TrackedHistoryEntry[] {
+  return items.flatMap((item) => {
+    if (!item.url || !/^https?:\/\//.test(item.url)) {
+      return [];
+    }
+
+    const result = analyzeUrl(item.url, options);
+    if (!result.success || result.removedParams.length === 0 || !result.cleanedUrl) {
+      return [];
+    }
+
+    return [{
+      url: item.url,
+      title: item.title ?? '',
+      domain: getDomain(item.url),
+      lastVisitTime: item.lastVisitTime ?? 0,
+      visitCount: item.visitCount ?? 0,
+      cleanedUrl: result.cleanedUrl,
+      removedParams: result.removedParams,
+      summary: result.summary
+    }];
+  });
+}
+
+/**
+ * Adds one to a count in a map
+ * @param counts - Counts by key
+ * @param key - Key to count
+ */
+function increment(counts: Map<string, number>, key: string) {
+  counts.set(key, (counts.get(key) ?? 0) + 1);
+}
+
+/**
+ * Turns counts into a list, most frequent first
+ * @param counts - Counts by key
+ * @returns Entries sorted by count, then by name
+ */
+function sortCounts(counts: Map<string, number>): Array<{ name: string; count: number }> {
+  return Array.from(counts, ([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Sums up the tracked entries by category, vendor and site.
+ * A page tracked twice by the same vendor (utm_source and utm_medium) counts once for it.
+ * @param entries - Tracked entries from findTrackedHistoryEntries
+ * @param scannedCount - Number of history entries that were scanned
+ * @returns Report with vendors and domains sorted by number of tracked pages
+ * @example
+ * buildHistoryReport(entries, 120).vendors[0]
+ * // => { vendor: 'UTM', pageCount: 31, domains: [{ name: 'example.com', count: 12 }, ...] }
+ */
+function buildHistoryReport(entries: TrackedHistoryEntry[], scannedCount: number): HistoryReport {
+  const categories: HistoryReport['categories'] = {
+    utm: 0,
+    social: 0,
+    ads: 0,
+    affiliate: 0,
+    email: 0,
+    analytics: 0
+  };
+  const vendorPages = new Map<string, number>();
+  const vendorDomains = new Map<string, Map<string, number>>();
+  const domainPages = new Map<string, number>();
+  const domainVendors = new Map<string, Set<string>>();
+
+  for (const entry of entries) {
+    for (const category of Object.keys(categories) as Array<keyof HistoryReport['categories']>) {
+      categories[category] += entry.summary[category];
+    }
+
+    increment(domainPages, entry.domain);
+    const vendors = new Set(entry.removedParams.map(param => param.vendor));
+    domainVendors.set(entry.domain, new Set([...(domainVendors.get(entry.domain) ?? []), ...vendors]));
+
+    for (const vendor of vendors) {
+      increment(vendorPages, vendor);
+      if (!vendorDomains.has(vendor)) {
+        vendorDomains.set(vendor, new Map());
+      }
+      increment(vendorDomains.get(vendor)!, entry.domain);
+    }
+  }
+
+  return {
+    scannedCount,
+    trackedCount: entries.length,
+    categories,
+    vendors: sortCounts(vendorPages).map(({ name, count }) => ({
+      vendor: name,
+      pageCount: count,
+      domains: sortCounts(vendorDomains.get(name)!)
+    })),
+    domains: sortCounts(domainPages).map(({ name, count }) => ({
+      domain: name,
+      pageCount: count,
+      vendors: Array.from(domainVendors.get(name)!).sort()
+    })),
+    entries
+  };
+}
+
+/**
+ * Scans the browsing history of a date range
+ * @param range - Start and end of the range (milliseconds since the epoch)
+ * @param options - Cleaning options
+ * @returns Privacy report for the range
+ */
+async function scanHistory(range: HistoryRange, options: CleanUrlOptions = {}): Promise<HistoryReport> {
+  const items = await chrome.history.search({
+    text: '',
+    startTime: range.startTime,
+    endTime: range.endTime,
+    maxResults: HISTORY_SEARCH_LIMIT
+  });
+
+  return {
+    ...buildHistoryReport(findTrackedHistoryEntries(items, options), items.length),
+    truncated: items.length >= HISTORY_SEARCH_LIMIT
+  };
+}
+
+/**
+ * Removes tracked pages from the history. chrome.history.deleteUrl removes
+ * every visit to a URL, so visits outside the scanned range go too.
+ * @param entries - Entries to delete
+ * @returns Number of entries deleted
+ */
+async function deleteHistoryEntries(entries: TrackedHistoryEntry[]): Promise<number> {
+  let deletedCount = 0;
+  for (const entry of entries) {
+    try {
+      await chrome.history.deleteUrl({ url: entry.url });
+      deletedCount++;
+    } catch (error) {
+      console.warn(`Could not delete history entry ${entry.url}:`, error);
+    }
+  }
+  return deletedCount;
+}
+
+/**
+ * Replaces tracked pages in the history with their cleaned URLs.
+ * chrome.history can't edit an entry, so the cleaned URL is added (as a visit
+ * at the current time) before the tracked one is deleted - with all its
+ * visits, including those outside the scanned range.
+ * @param entries - Entries to rewrite
+ * @returns Number of entries rewritten
+ */
+async function rewriteHistoryEntries(entries: TrackedHistoryEntry[]): Promise<number> {
+  let rewrittenCount = 0;
+  for (const entry of entries) {
+    try {
+      await chrome.history.addUrl({ url: entry.cleanedUrl });
+      await chrome.history.deleteUrl({ url: entry.url });
+      rewrittenCount++;
+    } catch (error) {
+      console.warn(`Could not rewrite history entry ${entry.url}:`, error);
+    }
+  }
+  return rewrittenCount;
+}
+
+// TypeScript type definitions
+export interface HistoryRange {
+  startTime: number;
+  endTime: number;
+}
+
+export interface TrackedHistoryEntry {
+  url: string;
+  title: string;
+  /** Site of the page, without "www." */
+  domain: string;
+  lastVisitTime: number;
+  visitCount: number;
+  cleanedUrl: string;
+  removedParams: RemovedParam[];
+  summary: AnalyzeUrlResult['summary'];
+}
+
+export interface HistoryReport {
+  /** History entries read */
+  scannedCount: number;
+  /** Entries with tracking parameters */
+  trackedCount: number;
+  /** Tracking parameters found, by category */
+  categories: AnalyzeUrlResult['summary'];
+  /** Vendors by number of tracked pages, with the sites they tracked on */
+  vendors: Array<{ vendor: string; pageCount: number; domains: Array<{ name: string; count: number }> }>;
+  /** Sites by number of tracked pages, with the vendors seen on them */
+  domains: Array<{ domain: string; pageCount: number; vendors: string[] }>;
+  entries: TrackedHistoryEntry[];
+  /** The range had more entries than one scan reads (see HISTORY_SEARCH_LIMIT) */
+  truncated?: boolean;
+}
+
+export {
+  findTrackedHistoryEntries,
+  buildHistoryReport,
+  scanHistory,
+  deleteHistoryEntries,
+  rewriteHistoryEntries,
+  HISTORY_SEARCH_LIMIT
+};
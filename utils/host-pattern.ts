@@ -0,0 +1,81 @@
+/**
+ * Clean URL - Host Pattern Matching
+ * Shared by host-scoped tracking rules and redirect wrapper detection
+ */
+
+/** One hostname label; also excludes URL delimiters so the source can be embedded in a URL regex */
+const LABEL = '[^./:?#@]';
+
+/**
+ * Public suffixes a `name.*` pattern stands for: the generic TLDs and the
+ * country domains (and their second-level "co.uk"-style suffixes) that the
+ * shops and search engines in the rules use. Anything else - `amazon.github.io`,
+ * `google.evil.com` - is some other site that only borrowed the name.
+ */
+const PUBLIC_SUFFIXES = [
+  'com', 'net', 'org',
+  'ae', 'at', 'be', 'ca', 'ch', 'cl', 'cn', 'co', 'cz', 'de', 'dk', 'es', 'fi', 'fr', 'gr', 'hu',
+  'ie', 'in', 'it', 'jp', 'mx', 'nl', 'no', 'nz', 'pl', 'pt', 'ro', 'ru', 'sa', 'se', 'sg', 'sk', 'us',
+  'co.id', 'co.il', 'co.in', 'co.jp', 'co.kr', 'co.nz', 'co.th', 'co.uk', 'co.za',
+  'com.ar', 'com.au', 'com.be', 'com.br', 'com.cn', 'com.co', 'com.eg', 'com.hk', 'com.mx', 'com.my',
+  'com.pe', 'com.ph', 'com.sg', 'com.tr', 'com.tw', 'com.vn'
+];
+
+/**
+ * Lists the hosts a `name.*` pattern stands for, one per public suffix
+ * @param pattern - Host pattern
+ * @returns Hosts for a `name.*` pattern, otherwise the pattern itself
+ * @example
+ * expandHostPattern('amazon.*') // => ['amazon.com', 'amazon.net', ..., 'amazon.co.uk', ...]
+ * expandHostPattern('github.com') // => ['github.com']
+ */
+export function expandHostPattern(pattern: string): string[] {
+  const name = pattern.toLowerCase();
+  if (!name.endsWith('.*') || name.slice(0, -2).includes('*')) {
+    return [pattern];
+  }
+  return PUBLIC_SUFFIXES.map(suffix => `${name.slice(0, -1)}${suffix}`);
+}
+
+/**
+ * Converts a host pattern to a regular expression source (without anchors)
+ * @param pattern - Host pattern (e.g. "amazon.*", "*.example.com", "github.com")
+ * @returns Regex source matching the host and, unless the pattern starts with `*.`, its subdomains
+ * @example
+ * hostPatternToRegExpSource('github.com') // => '(?:[^./:?#@]+\\.)*github\\.com'
+ */
+export function hostPatternToRegExpSource(pattern: string): string {
+  let body = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  let prefix = `(?:${LABEL}+\\.)*`;
+
+  if (body.startsWith('*\\.')) {
+    body = body.slice(3);
+    prefix = `(?:${LABEL}+\\.)+`;
+  }
+
+  // Wildcard suffix stands for one of the known public suffixes (com, co.jp, ...)
+  if (body.endsWith('\\.*')) {
+    body = body.slice(0, -3) + `\\.(?:${PUBLIC_SUFFIXES.map(suffix => suffix.replace(/\./g, '\\.')).join('|')})`;
+  }
+
+  // Any other wildcard stands for part of a single label
+  body = body.replace(/\*/g, `${LABEL}*`);
+
+  return prefix + body;
+}
+
+/**
+ * Checks whether a hostname matches a host pattern
+ * @param hostname - Hostname to test (e.g. "www.amazon.co.jp")
+ * @param pattern - Host pattern (e.g. "amazon.*", "*.example.com", "github.com")
+ * @returns True if the hostname matches the pattern
+ * @example
+ * matchesHostPattern('www.amazon.co.jp', 'amazon.*') // => true
+ * matchesHostPattern('amazon.github.io', 'amazon.*') // => false
+ * matchesHostPattern('gist.github.com', 'github.com') // => true
+ * matchesHostPattern('example.com', '*.example.com') // => false
+ */
+export function matchesHostPattern(hostname: string, pattern: string): boolean {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  return new RegExp(`^${hostPatternToRegExpSource(pattern)}$`).test(host);
+}
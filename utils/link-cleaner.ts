@@ -0,0 +1,121 @@
+/**
+ * Clean URL - Page Link Cleaning
+ * Rewrites `<a href>` values in a page to their cleaned form, so "Copy link
+ * address" copies a clean URL. Runs in the link-cleaner content script.
+ */
+
+import { cleanUrl, type CleanUrlOptions } from './clean-url-logic';
+
+/** Attribute keeping the page's own href, so cleaning can be undone */
+const ORIGINAL_HREF_ATTRIBUTE = 'data-clean-url-original';
+
+/**
+ * Cleans the href of a single link
+ * @param anchor - Link element
+ * @param options - Link cleaning options
+ * @returns True if the href was rewritten
+ */
+function cleanLink(anchor: HTMLAnchorElement, options: LinkCleanerOptions): boolean {
+  const rawHref = anchor.getAttribute('href');
+  if (!rawHref || !/^https?:$/.test(anchor.protocol)) {
+    return false;
+  }
+
+  // Sites can opt out of cleaning their own navigation links
+  if (options.skipSameOrigin && anchor.origin === location.origin) {
+    return false;
+  }
+
+  const result = cleanUrl(anchor.href, options.cleanUrlOptions);
+  if (!result.success || !result.hasChanges || !result.cleanedUrl) {
+    return false;
+  }
+
+  anchor.setAttribute(ORIGINAL_HREF_ATTRIBUTE, rawHref);
+  anchor.href = result.cleanedUrl;
+  return true;
+}
+
+/**
+ * Cleans every link inside a DOM subtree (including the root itself)
+ * @param root - Document or element to scan
+ * @param options - Link cleaning options
+ * @returns Number of links rewritten
+ */
+function cleanLinksIn(root: ParentNode, options: LinkCleanerOptions): number {
+  const anchors = Array.from(root.querySelectorAll<HTMLAnchorElement>('a[href]'));
+  if (root instanceof HTMLAnchorElement) {
+    anchors.unshift(root);
+  }
+
+  return anchors.filter(anchor => cleanLink(anchor, options)).length;
+}
+
+/**
+ * Puts back the hrefs the page originally had
+ * @param root - Document or element to restore
+ */
+function restoreLinks(root: ParentNode) {
+  root.querySelectorAll<HTMLAnchorElement>(`a[${ORIGINAL_HREF_ATTRIBUTE}]`).forEach((anchor) => {
+    anchor.setAttribute('href', anchor.getAttribute(ORIGINAL_HREF_ATTRIBUTE)!);
+    anchor.removeAttribute(ORIGINAL_HREF_ATTRIBUTE);
+  });
+}
+
+/**
+ * Cleans the links in a page now and whenever links are added or changed later
+ * @param root - Document to clean
+ * @param options - Link cleaning options
+ * @returns Function that stops watching and restores the original hrefs
+ * @example
+ * const stop = startLinkCleaner(document, { cleanUrlOptions: {}, skipSameOrigin: true });
+ */
+function startLinkCleaner(root: Document, options: LinkCleanerOptions): () => void {
+  cleanLinksIn(root, options);
+
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        // The page (re)set an href - our own rewrite is already clean and is a no-op here
+        if (mutation.target instanceof HTMLAnchorElement) {
+          cleanLink(mutation.target, options);
+        }
+        continue;
+      }
+
+      mutation.addedNodes.forEach((node) => {
+        if (node instanceof Element) {
+          cleanLinksIn(node, options);
+        }
+      });
+    }
+  });
+
+  observer.observe(root.documentElement, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['href']
+  });
+
+  return () => {
+    observer.disconnect();
+    restoreLinks(root);
+  };
+}
+
+// TypeScript type definitions
+export interface LinkCleanerOptions {
+  /** Options passed to cleanUrl for every link */
+  cleanUrlOptions: CleanUrlOptions;
+  /** Leave links to the page's own origin untouched */
+  skipSameOrigin: boolean;
+}
+
+export {
+  cleanLink,
+  cleanLinksIn,
+  restoreLinks,
+  startLinkCleaner,
+  ORIGINAL_HREF_ATTRIBUTE
+};
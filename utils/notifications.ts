@@ -0,0 +1,160 @@
+/**
+ * Clean URL - Notifications
+ * Shows chrome.notifications for cleanings done outside the popup (action
+ * click, context menu, commands) with Undo, Copy and Close duplicates buttons.
+ * The service worker may be stopped before a button is clicked, so what each
+ * button acts on is kept in chrome.storage.session until the notification closes.
+ */
+
+import { getSettings } from './settings';
+import type { DuplicateTabGroup } from './tab-cleanup';
+
+/** Storage key prefix for the cleaning behind each notification */
+const NOTIFICATION_KEY_PREFIX = 'notification:';
+
+/** Icon shown in notifications (public/icon-128.png) */
+const NOTIFICATION_ICON = 'icon-128.png';
+
+/** Button titles, by action */
+const NOTIFICATION_BUTTONS: Record<NotificationAction, string> = {
+  undo: 'Undo',
+  copy: 'Copy clean URL',
+  'close-duplicates': 'Close duplicate tabs'
+};
+
+/**
+ * Shows a notification unless the user turned notifications off
+ * @param title - Notification title
+ * @param message - Notification text
+ * @param cleaning - URL that was cleaned, to offer Undo (when a tab was changed) and Copy
+ * @returns Id of the notification, or null if none was shown
+ * @example
+ * await showNotification('URL Cleaned!', 'Removed 2 tracking parameters', {
+ *   tabId: 12, originalUrl: 'https://a.com/?utm_source=x', cleanedUrl: 'https://a.com/'
+ * });
+ */
+async function showNotification(title: string, message: string, cleaning?: CleanedUrl): Promise<string | null> {
+  if (!cleaning) {
+    return createNotification(title, message);
+  }
+
+  return createNotification(title, message, {
+    actions: cleaning.tabId !== undefined ? ['undo', 'copy'] : ['copy'],
+    cleaning
+  });
+}
+
+/**
+ * Shows a notification offering to close duplicate tabs
+ * @param title - Notification title
+ * @param message - Notification text
+ * @param duplicates - Duplicate tabs found by cleanOpenTabs
+ * @returns Id of the notification, or null if none was shown
+ */
+async function showDuplicateTabsNotification(
+  title: string,
+  message: string,
+  duplicates: DuplicateTabGroup[]
+): Promise<string | null> {
+  return createNotification(title, message, duplicates.length > 0
+    ? { actions: ['close-duplicates'], duplicates }
+    : undefined);
+}
+
+/**
+ * Creates a notification and remembers what its buttons act on
+ * @param title - Notification title
+ * @param message - Notification text
+ * @param record - Button actions and their data (none: no buttons)
+ * @returns Id of the notification, or null if none was shown
+ */
+async function createNotification(title: string, message: string, record?: NotificationRecord): Promise<string | null> {
+  const settings = await getSettings();
+  if (!settings.notifications) {
+    return null;
+  }
+
+  try {
+    const notificationId = await chrome.notifications.create({
+      type: 'basic',
+      iconUrl: NOTIFICATION_ICON,
+      title,
+      message,
+      buttons: (record?.actions ?? []).map(action => ({ title: NOTIFICATION_BUTTONS[action] }))
+    });
+
+    if (record) {
+      await chrome.storage.session.set({ [NOTIFICATION_KEY_PREFIX + notificationId]: record });
+    }
+
+    return notificationId;
+  } catch (error) {
+    console.error('Error showing notification:', error);
+    return null;
+  }
+}
+
+/**
+ * Looks up what a notification button does
+ * @param notificationId - Notification whose button was clicked
+ * @param buttonIndex - Index of the clicked button
+ * @returns The action and what it applies to, or null if unknown (e.g. already closed)
+ */
+async function getNotificationAction(
+  notificationId: string,
+  buttonIndex: number
+): Promise<NotificationButtonTarget | null> {
+  const key = NOTIFICATION_KEY_PREFIX + notificationId;
+  const stored = await chrome.storage.session.get(key);
+  const record = stored?.[key] as NotificationRecord | undefined;
+  const action = record?.actions[buttonIndex];
+
+  if (action === 'close-duplicates' && record?.duplicates) {
+    return { action, duplicates: record.duplicates };
+  }
+  if ((action === 'undo' || action === 'copy') && record?.cleaning) {
+    return { action, cleaning: record.cleaning };
+  }
+  return null;
+}
+
+/**
+ * Forgets what the buttons of a closed notification act on
+ * @param notificationId - Notification that was closed
+ */
+async function forgetNotification(notificationId: string) {
+  await chrome.storage.session.remove(NOTIFICATION_KEY_PREFIX + notificationId);
+}
+
+// TypeScript type definitions
+export type NotificationAction = 'undo' | 'copy' | 'close-duplicates';
+
+export interface CleanedUrl {
+  /** Tab showing the cleaned URL (absent when nothing was opened) */
+  tabId?: number;
+  originalUrl: string;
+  cleanedUrl: string;
+  /** Page title, for rich copies */
+  title?: string;
+}
+
+export type NotificationButtonTarget =
+  | { action: 'undo' | 'copy'; cleaning: CleanedUrl }
+  | { action: 'close-duplicates'; duplicates: DuplicateTabGroup[] };
+
+interface NotificationRecord {
+  /** Action of each button, by button index */
+  actions: NotificationAction[];
+  /** URL the Undo and Copy buttons act on */
+  cleaning?: CleanedUrl;
+  /** Tabs the Close duplicates button closes */
+  duplicates?: DuplicateTabGroup[];
+}
+
+export {
+  showNotification,
+  showDuplicateTabsNotification,
+  getNotificationAction,
+  forgetNotification,
+  NOTIFICATION_BUTTONS
+};
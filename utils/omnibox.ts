@@ -0,0 +1,99 @@
+/**
+ * Clean URL - Address Bar Keyword
+ * Typing "clean" and a URL in the address bar shows the cleaned URL as a live
+ * suggestion; pressing Enter opens it, so a link pasted from chat never has to
+ * be opened with its tracking parameters.
+ */
+
+import { cleanUrl, type CleanUrlOptions } from './clean-url-logic';
+
+/** Suggestion shown before anything usable is typed */
+const OMNIBOX_HINT = 'Paste a URL to open it without tracking parameters';
+
+/**
+ * Escapes text for an omnibox description, which Chrome parses as XML
+ * @param text - Plain text
+ * @returns Text safe to put between description tags
+ */
+function escapeOmniboxText(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Cleans the text typed after the keyword
+ * @param text - Typed or pasted text
+ * @param options - Cleaning options
+ * @returns Cleaning result, or null if the text isn't a web URL
+ */
+function cleanOmniboxInput(text: string, options: CleanUrlOptions = {}) {
+  const url = text.trim();
+  if (!/^https?:\/\//i.test(url)) {
+    return null;
+  }
+
+  const result = cleanUrl(url, options);
+  return result.success && result.cleanedUrl ? result : null;
+}
+
+/**
+ * Builds the live suggestion for the text typed after the keyword
+ * @param text - Typed or pasted text
+ * @param options - Cleaning options
+ * @returns Suggestion description (omnibox XML)
+ * @example
+ * describeOmniboxInput('https://a.com/?utm_source=x')
+ * // => 'Open <url>https://a.com/</url> <dim>- 1 tracking parameter removed</dim>'
+ */
+function describeOmniboxInput(text: string, options: CleanUrlOptions = {}): string {
+  const result = cleanOmniboxInput(text, options);
+  if (!result) {
+    return escapeOmniboxText(OMNIBOX_HINT);
+  }
+
+  const url = `<url>${escapeOmniboxText(result.cleanedUrl!)}</url>`;
+  if (!result.hasChanges) {
+    return `Open ${url} <dim>- already clean</dim>`;
+  }
+
+  const count = result.removedCount;
+  return `Open ${url} <dim>- ${count} tracking parameter${count === 1 ? '' : 's'} removed</dim>`;
+}
+
+/**
+ * Opens the cleaned URL where the user asked for it (Enter, Alt+Enter, ...)
+ * @param text - Text typed after the keyword
+ * @param disposition - Where Chrome wants the result opened
+ * @param options - Cleaning options
+ * @returns The URL opened, or null if the text wasn't a web URL
+ */
+async function openOmniboxInput(
+  text: string,
+  disposition: `${chrome.omnibox.OnInputEnteredDisposition}`,
+  options: CleanUrlOptions = {}
+): Promise<string | null> {
+  const result = cleanOmniboxInput(text, options);
+  if (!result) {
+    return null;
+  }
+
+  const url = result.cleanedUrl!;
+  if (disposition === 'currentTab') {
+    await chrome.tabs.update({ url });
+  } else {
+    await chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+  }
+  return url;
+}
+
+export {
+  cleanOmniboxInput,
+  describeOmniboxInput,
+  escapeOmniboxText,
+  openOmniboxInput,
+  OMNIBOX_HINT
+};
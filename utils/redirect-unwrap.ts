@@ -0,0 +1,326 @@
+/**
+ * Clean URL - Redirect Wrapper Unwrapping
+ * Extracts the real destination from search engine and social network redirectors
+ * and from email security "safe links" rewrites.
+ * Everything is decoded offline - the redirector is never contacted.
+ */
+
+import { matchesHostPattern } from './host-pattern';
+
+/** Maximum number of nested wrappers to unwrap (e.g. a Google link to a Facebook redirect) */
+const MAX_UNWRAP_DEPTH = 5;
+
+/** Run-length alphabet of Proofpoint v3 `**X` tokens: 'A' = 2 characters, 'B' = 3, ... */
+const PROOFPOINT_V3_RUN_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Known redirect wrappers.
+ * A URL is unwrapped when its host matches `hosts`, its path matches `path`
+ * and one of `params` holds an http(s) URL (after `decode`, if given),
+ * or `extract` finds the target in the raw URL.
+ *
+ * Mimecast links are only unwrapped when they carry the full target in `url`.
+ * Plain `/s/<token>` rewrites are resolved by Mimecast's servers, and their
+ * `domain` parameter names only the destination site, not the page - turning
+ * them into a link to the site's home page would send the reader elsewhere.
+ */
+const REDIRECT_WRAPPERS: RedirectWrapper[] = [
+  {
+    id: 'google',
+    hosts: ['google.*'],
+    path: /^\/url$/,
+    params: ['q', 'url']
+  },
+  {
+    id: 'facebook',
+    hosts: ['l.facebook.com', 'lm.facebook.com', 'l.messenger.com'],
+    path: /^\/l\.php$/,
+    params: ['u']
+  },
+  {
+    id: 'instagram',
+    hosts: ['l.instagram.com'],
+    path: /^\/?$/,
+    params: ['u']
+  },
+  {
+    id: 'reddit',
+    hosts: ['out.reddit.com'],
+    params: ['url']
+  },
+  {
+    id: 'duckduckgo',
+    hosts: ['duckduckgo.com'],
+    path: /^\/l\/?$/,
+    params: ['uddg']
+  },
+  {
+    id: 'tumblr',
+    hosts: ['t.umblr.com'],
+    path: /^\/redirect$/,
+    params: ['z']
+  },
+  {
+    id: 'bing',
+    hosts: ['bing.com'],
+    path: /^\/ck\/a$/,
+    params: ['u'],
+    decode: decodeBingTarget
+  },
+  {
+    id: 'youtube',
+    hosts: ['youtube.com'],
+    path: /^\/redirect$/,
+    params: ['q']
+  },
+  {
+    id: 'linkedin',
+    hosts: ['linkedin.com'],
+    path: /^\/redir\/redirect\/?$/,
+    params: ['url']
+  },
+
+  // Email security "safe links"
+  {
+    id: 'microsoft-safelinks',
+    hosts: ['*.safelinks.protection.outlook.com', '*.safelinks.protection.office365.us'],
+    path: /^\/?$/,
+    params: ['url']
+  },
+  {
+    id: 'mimecast',
+    hosts: ['protect-*.mimecast.com', '*.mimecastprotect.com'],
+    params: ['url']
+  },
+  {
+    id: 'proofpoint-v1',
+    hosts: ['urldefense.proofpoint.com'],
+    path: /^\/v1\/url$/,
+    params: ['u'],
+    decode: safeDecodeURIComponent
+  },
+  {
+    id: 'proofpoint-v2',
+    hosts: ['urldefense.proofpoint.com'],
+    path: /^\/v2\/url$/,
+    params: ['u'],
+    decode: decodeProofpointV2
+  },
+  {
+    id: 'proofpoint-v3',
+    hosts: ['urldefense.com', 'urldefense.us'],
+    path: /^\/v3\/__/,
+    extract: decodeProofpointV3
+  }
+];
+
+/**
+ * decodeURIComponent that returns the input unchanged on malformed escapes
+ * @param value - Percent-encoded string
+ * @returns Decoded string
+ */
+function safeDecodeURIComponent(value: string): string {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Decodes base64url (RFC 4648 §5) or standard base64 into a UTF-8 string
+ * @param value - Encoded value, padding optional
+ * @returns Decoded string or null if the value is not valid base64
+ */
+function decodeBase64Url(value: string): string | null {
+  try {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const bytes = Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decodes Bing's `u` parameter, which is `a1` followed by the base64url-encoded target
+ * @param value - Raw `u` parameter value
+ * @returns Decoded target or null if the value is not in Bing's format
+ * @example
+ * decodeBingTarget('a1aHR0cHM6Ly9leGFtcGxlLmNvbS8') // => 'https://example.com/'
+ */
+function decodeBingTarget(value: string): string | null {
+  if (!value.startsWith('a1')) {
+    return null;
+  }
+
+  return decodeBase64Url(value.slice(2));
+}
+
+/**
+ * Decodes a Proofpoint URL Defense v2 `u` parameter.
+ * v2 percent-encodes the target with `-` in place of `%` and `_` in place of `/`.
+ * @param value - Raw `u` parameter value
+ * @returns Decoded target
+ * @example
+ * decodeProofpointV2('https-3A__example.com_a-3Fb-3D1') // => 'https://example.com/a?b=1'
+ */
+function decodeProofpointV2(value: string): string {
+  return safeDecodeURIComponent(value.replace(/-/g, '%').replace(/_/g, '/'));
+}
+
+/**
+ * Decodes a Proofpoint URL Defense v3 link.
+ * The target sits between `/v3/__` and `__;` with unsafe characters replaced by
+ * `*` (one character) or `**X` (a run, length from PROOFPOINT_V3_RUN_CHARS). The
+ * replaced characters follow `__;` as base64url, up to the next `!`.
+ * @param urlString - Full urldefense.com/v3 URL
+ * @returns Decoded target or null if the link is malformed
+ * @example
+ * decodeProofpointV3('https://urldefense.com/v3/__https://example.com/a*b__;Kw!!x$')
+ * // => 'https://example.com/a+b'
+ */
+function decodeProofpointV3(urlString: string): string | null {
+  const match = /\/v3\/__(.+?)__;(.*?)!/.exec(urlString);
+  if (!match) {
+    return null;
+  }
+
+  // Proofpoint sometimes drops one slash of "https://"
+  const embedded = match[1].replace(/^([a-z0-9+.-]+:\/)([^/])/i, '$1/$2');
+  const replacementText = decodeBase64Url(match[2]);
+  if (replacementText === null) {
+    return null;
+  }
+
+  const replacements = Array.from(replacementText);
+  let position = 0;
+
+  return safeDecodeURIComponent(embedded).replace(/\*(\*.)?/g, (token) => {
+    const length = token.length === 1 ? 1 : PROOFPOINT_V3_RUN_CHARS.indexOf(token[2]) + 2;
+    const run = replacements.slice(position, position + length).join('');
+    position += length;
+    return run;
+  });
+}
+
+/**
+ * Returns the value as a normalized URL string if it is an http(s) URL.
+ * Other schemes (javascript:, data:, ...) are never unwrapped to.
+ * @param value - Candidate target URL
+ * @returns Normalized URL string or null
+ */
+function toHttpUrl(value: string | null): string | null {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extracts the destination of a single redirect wrapper
+ * @param urlString - Possibly wrapped URL
+ * @returns The wrapper id and decoded target, or null if the URL is not a known wrapper
+ * @example
+ * unwrapRedirect('https://www.google.com/url?q=https://example.com/&sa=D')
+ * // => { wrapper: 'google', target: 'https://example.com/' }
+ */
+function unwrapRedirect(urlString: string): { wrapper: string; target: string } | null {
+  let url: URL;
+  try {
+    url = new URL(urlString);
+  } catch {
+    return null;
+  }
+
+  for (const wrapper of REDIRECT_WRAPPERS) {
+    if (!wrapper.hosts.some(pattern => matchesHostPattern(url.hostname, pattern))) {
+      continue;
+    }
+
+    if (wrapper.path && !wrapper.path.test(url.pathname)) {
+      continue;
+    }
+
+    if (wrapper.extract) {
+      const target = toHttpUrl(wrapper.extract(urlString));
+      if (target) {
+        return { wrapper: wrapper.id, target };
+      }
+      continue;
+    }
+
+    for (const param of wrapper.params ?? []) {
+      const value = url.searchParams.get(param);
+      const target = toHttpUrl(value !== null && wrapper.decode ? wrapper.decode(value) : value);
+
+      if (target) {
+        return { wrapper: wrapper.id, target };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Repeatedly unwraps nested redirect wrappers
+ * @param urlString - Possibly wrapped URL
+ * @returns The innermost URL and the chain of wrappers that were removed (outermost first)
+ */
+function unwrapRedirectChain(urlString: string): { url: string; unwrappedFrom: UnwrapStep[] } {
+  const unwrappedFrom: UnwrapStep[] = [];
+  let current = urlString;
+
+  while (unwrappedFrom.length < MAX_UNWRAP_DEPTH) {
+    const step = unwrapRedirect(current);
+    if (!step) {
+      break;
+    }
+
+    unwrappedFrom.push({ url: current, wrapper: step.wrapper });
+    current = step.target;
+  }
+
+  return { url: current, unwrappedFrom };
+}
+
+// TypeScript type definitions
+export interface RedirectWrapper {
+  /** Stable identifier reported in `UnwrapStep.wrapper` */
+  id: string;
+  /** Host patterns of the redirector (see matchesHostPattern) */
+  hosts: string[];
+  /** Pathname the redirector uses */
+  path?: RegExp;
+  /** Query parameters that may hold the target, in priority order */
+  params?: string[];
+  /** Turns the raw parameter value into the target URL */
+  decode?: (value: string) => string | null;
+  /** Reads the target from the raw URL, for wrappers that don't use a query parameter */
+  extract?: (urlString: string) => string | null;
+}
+
+export interface UnwrapStep {
+  /** The wrapper URL that was unwrapped */
+  url: string;
+  /** Id of the matching redirect wrapper */
+  wrapper: string;
+}
+
+export {
+  unwrapRedirect,
+  unwrapRedirectChain,
+  decodeBase64Url,
+  decodeProofpointV2,
+  decodeProofpointV3,
+  REDIRECT_WRAPPERS,
+  MAX_UNWRAP_DEPTH
+};
@@ -0,0 +1,114 @@
+/**
+ * Clean URL Extension - User Settings
+ * Persists user preferences in chrome.storage.local so the popup, badge and
+ * context menus all clean with the same options
+ */
+
+import type { CleaningProfile, CleanUrlOptions } from './clean-url-logic';
+
+/** Storage key holding the settings object */
+const SETTINGS_KEY = 'settings';
+
+/** Settings used before the user changes anything */
+const DEFAULT_SETTINGS: Settings = {
+  profile: 'standard',
+  lossless: false,
+  canonicalize: false,
+  autoClean: false,
+  inPlace: true,
+  cleanOnCopy: false,
+  notifications: true,
+  richCopy: false,
+  badgeStyle: 'count',
+  linkCleaningSites: {}
+};
+
+/**
+ * Reads the current settings, filling in defaults for missing values
+ * @returns The stored settings merged over DEFAULT_SETTINGS
+ */
+async function getSettings(): Promise<Settings> {
+  try {
+    const stored = await chrome.storage.local.get(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(stored?.[SETTINGS_KEY] as Partial<Settings> | undefined) };
+  } catch (error) {
+    console.error('Error reading settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Saves some settings, keeping the others
+ * @param changes - Settings to change
+ * @returns The complete settings after the update
+ */
+async function updateSettings(changes: Partial<Settings>): Promise<Settings> {
+  const settings = { ...(await getSettings()), ...changes };
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return settings;
+}
+
+/**
+ * Calls back whenever the settings change (from any extension page)
+ * @param callback - Receives the complete new settings
+ */
+function onSettingsChanged(callback: (settings: Settings) => void) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[SETTINGS_KEY]) {
+      callback({ ...DEFAULT_SETTINGS, ...(changes[SETTINGS_KEY].newValue as Partial<Settings> | undefined) });
+    }
+  });
+}
+
+/**
+ * Maps settings to cleanUrl/analyzeUrl options
+ * @param settings - Current settings
+ * @returns Options to pass to cleanUrl
+ */
+function toCleanUrlOptions(settings: Settings): CleanUrlOptions {
+  return {
+    profile: settings.profile,
+    lossless: settings.lossless,
+    canonicalize: settings.canonicalize
+  };
+}
+
+// TypeScript type definitions
+export interface Settings {
+  /** Cleaning strength used everywhere in the extension */
+  profile: CleaningProfile;
+  /** Only cut tracking out of the URL, keeping the rest byte-for-byte (signed links) */
+  lossless: boolean;
+  /** Shorten marketplace product pages to their canonical URL (see canonical-url.ts) */
+  canonicalize: boolean;
+  /** Strip tracking parameters from navigations via declarativeNetRequest (see auto-clean.ts) */
+  autoClean: boolean;
+  /** Clean the address bar with history.replaceState instead of reloading, when possible */
+  inPlace: boolean;
+  /** Clean URLs in text copied from pages (see copy-cleaner.ts) */
+  cleanOnCopy: boolean;
+  /** Show a notification (with Undo and Copy) after cleaning from the context menu or toolbar */
+  notifications: boolean;
+  /** Copy links as text/html with the page title too, besides the plain URL */
+  richCopy: boolean;
+  /** Show the number of tracking parameters on the toolbar icon, or just a dot */
+  badgeStyle: BadgeStyle;
+  /** Sites (by hostname) whose page links are cleaned by the link-cleaner content script */
+  linkCleaningSites: Record<string, SiteLinkOptions>;
+}
+
+export type BadgeStyle = 'count' | 'dot';
+
+export interface SiteLinkOptions {
+  /** Leave links to the site itself alone (e.g. when its navigation relies on them) */
+  skipSameOrigin: boolean;
+}
+
+export {
+  getSettings,
+  updateSettings,
+  onSettingsChanged,
+  toCleanUrlOptions,
+  DEFAULT_SETTINGS,
+  SETTINGS_KEY
+};
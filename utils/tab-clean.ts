@@ -0,0 +1,147 @@
+/**
+ * Clean URL - Applying Cleaned URLs to Tabs
+ * Cleans the address bar in place with history.replaceState when only the
+ * query or hash changed, so the page keeps its form state and scroll position.
+ * Falls back to navigating the tab otherwise.
+ */
+
+import { cleanUrl, type CleanUrlOptions } from './clean-url-logic';
+
+/**
+ * Checks whether the cleaned URL can replace the original without a navigation.
+ * history.replaceState only accepts same-origin URLs, and a different path
+ * (removed /ref= segments, unwrapped redirects) is a different page.
+ * @param originalUrl - URL currently shown in the tab
+ * @param cleanedUrl - Cleaned URL
+ * @returns True if only the query string or hash differ
+ * @example
+ * canReplaceInPlace('https://a.com/p?utm_source=x', 'https://a.com/p') // => true
+ * canReplaceInPlace('https://a.com/p/ref=x', 'https://a.com/p') // => false
+ */
+function canReplaceInPlace(originalUrl: string, cleanedUrl: string): boolean {
+  try {
+    const original = new URL(originalUrl);
+    const cleaned = new URL(cleanedUrl);
+
+    return (original.protocol === 'http:' || original.protocol === 'https:') &&
+      original.origin === cleaned.origin &&
+      original.pathname === cleaned.pathname;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Injected into the page: swaps the URL in the address bar without reloading.
+ * Must be self-contained - chrome.scripting serializes it.
+ * @param fromUrl - URL the page is expected to be on
+ * @param toUrl - Cleaned URL
+ * @returns True if the URL was replaced
+ */
+function replaceHistoryUrl(fromUrl: string, toUrl: string): boolean {
+  // The tab may have navigated since its URL was read
+  if (location.href !== fromUrl) {
+    return false;
+  }
+
+  history.replaceState(history.state, '', toUrl);
+  return true;
+}
+
+/**
+ * Replaces the tab's URL in place via chrome.scripting
+ * @param tabId - Tab to clean
+ * @param fromUrl - URL currently shown in the tab
+ * @param toUrl - Cleaned URL
+ * @returns True if the address bar now shows the cleaned URL
+ */
+async function replaceUrlInPlace(tabId: number, fromUrl: string, toUrl: string): Promise<boolean> {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: replaceHistoryUrl,
+      args: [fromUrl, toUrl]
+    });
+    return injection?.result === true;
+  } catch (error) {
+    // No access to the page (chrome:// pages, Web Store, missing permission)
+    console.warn('In-place cleaning unavailable, navigating instead:', error);
+    return false;
+  }
+}
+
+/**
+ * Shows the cleaned URL in a tab, in place when possible
+ * @param tabId - Tab to update
+ * @param fromUrl - URL currently shown in the tab
+ * @param toUrl - Cleaned URL
+ * @param inPlace - Try history.replaceState before navigating (default: true)
+ * @returns 'replaced' if the page stayed loaded, 'navigated' if the tab loaded the cleaned URL
+ */
+async function applyCleanUrlToTab(
+  tabId: number,
+  fromUrl: string,
+  toUrl: string,
+  inPlace: boolean = true
+): Promise<ApplyMethod> {
+  if (inPlace && canReplaceInPlace(fromUrl, toUrl) && await replaceUrlInPlace(tabId, fromUrl, toUrl)) {
+    return 'replaced';
+  }
+
+  await chrome.tabs.update(tabId, { url: toUrl });
+  return 'navigated';
+}
+
+/**
+ * Puts the original URL back in a tab that was cleaned (Undo)
+ * @param tabId - Tab that was cleaned
+ * @param cleanedUrl - URL the cleaning left in the tab
+ * @param originalUrl - URL to restore
+ * @param inPlace - Try history.replaceState before navigating (default: true)
+ * @returns How the URL was restored, or null if the tab has moved on to another URL
+ */
+async function restoreOriginalUrl(
+  tabId: number,
+  cleanedUrl: string,
+  originalUrl: string,
+  inPlace: boolean = true
+): Promise<ApplyMethod | null> {
+  const tab = await chrome.tabs.get(tabId);
+
+  // A tab opened for the cleaned link may still be loading it
+  if ((tab.url || tab.pendingUrl) !== cleanedUrl) {
+    return null;
+  }
+
+  return applyCleanUrlToTab(tabId, cleanedUrl, originalUrl, inPlace);
+}
+
+/**
+ * Cleans a tab's URL in place only, never navigating. Used for URLs a page set
+ * itself (single-page app navigations, hash changes), where a reload would
+ * throw away the app's state.
+ * @param tabId - Tab whose URL changed
+ * @param url - URL the page switched to
+ * @param options - Cleaning options
+ * @returns The cleaned URL now shown in the tab, or null if it was left as is
+ */
+async function cleanTabInPlace(tabId: number, url: string, options: CleanUrlOptions = {}): Promise<string | null> {
+  const result = cleanUrl(url, options);
+  if (!result.success || !result.hasChanges || !result.cleanedUrl || !canReplaceInPlace(url, result.cleanedUrl)) {
+    return null;
+  }
+
+  return await replaceUrlInPlace(tabId, url, result.cleanedUrl) ? result.cleanedUrl : null;
+}
+
+// TypeScript type definitions
+export type ApplyMethod = 'replaced' | 'navigated';
+
+export {
+  applyCleanUrlToTab,
+  canReplaceInPlace,
+  cleanTabInPlace,
+  replaceHistoryUrl,
+  replaceUrlInPlace,
+  restoreOriginalUrl
+};
@@ -0,0 +1,229 @@
+/**
+ * Clean URL - Cleaning All Open Tabs
+ * Cleans every open tab at once, then finds tabs that show the same page once
+ * tracking is ignored, so the duplicates can be closed.
+ */
+
+import { cleanUrl, type CleanUrlOptions } from './clean-url-logic';
+import { ALL_SITES_PATTERN } from './content-scripts';
+import { applyCleanUrlToTab, canReplaceInPlace, replaceUrlInPlace } from './tab-clean';
+
+/**
+ * Checks whether a tab shows a web page
+ * @param tab - Tab to check
+ * @returns True for http(s) tabs with an id
+ */
+function isWebTab(tab: chrome.tabs.Tab): tab is chrome.tabs.Tab & { id: number; url: string } {
+  return tab.id !== undefined && /^https?:\/\//.test(tab.url ?? '');
+}
+
+/**
+ * Picks the tab to keep from tabs showing the same page:
+ * the active tab, then a pinned tab, then the leftmost one
+ * @param tabs - Tabs showing the same page
+ * @returns Tab to keep open
+ */
+function pickTabToKeep<T extends chrome.tabs.Tab>(tabs: T[]): T {
+  return [...tabs].sort((a, b) =>
+    Number(b.active) - Number(a.active) ||
+    Number(b.pinned) - Number(a.pinned) ||
+    a.windowId - b.windowId ||
+    a.index - b.index
+  )[0];
+}
+
+/**
+ * Works out which tabs to clean and which become duplicates once cleaned
+ * @param tabs - Open tabs
+ * @param options - Cleaning options
+ * @returns Tabs to update and groups of duplicate tabs
+ * @example
+ * planTabCleanup([
+ *   { id: 1, url: 'https://a.com/?utm_source=x', ... },
+ *   { id: 2, url: 'https://a.com/', ... }
+ * ]).duplicates
+ * // => [{ url: 'https://a.com/', keepTabId: 1, closeTabIds: [2] }] (if tab 1 is active)
+ */
+function planTabCleanup(tabs: chrome.tabs.Tab[], options: CleanUrlOptions = {}): TabCleanupPlan {
+  const webTabs = tabs.filter(isWebTab);
+  const updates: TabUpdate[] = [];
+  const tabsByUrl = new Map<string, Array<chrome.tabs.Tab & { id: number }>>();
+
+  for (const tab of webTabs) {
+    const result = cleanUrl(tab.url, options);
+    const cleanedUrl = result.success && result.cleanedUrl ? result.cleanedUrl : tab.url;
+
+    if (result.success && result.hasChanges) {
+      updates.push({ tabId: tab.id, fromUrl: tab.url, toUrl: cleanedUrl, removedCount: result.removedCount });
+    }
+
+    tabsByUrl.set(cleanedUrl, [...(tabsByUrl.get(cleanedUrl) ?? []), tab]);
+  }
+
+  const duplicates: DuplicateTabGroup[] = [];
+  for (const [url, sameTabs] of tabsByUrl) {
+    if (sameTabs.length < 2) {
+      continue;
+    }
+
+    const keep = pickTabToKeep(sameTabs);
+    // Pinned tabs are kept on purpose - never offer to close them
+    const closeTabIds = sameTabs.filter(tab => tab !== keep && !tab.pinned).map(tab => tab.id);
+    if (closeTabIds.length > 0) {
+      duplicates.push({ url, keepTabId: keep.id, closeTabIds });
+    }
+  }
+
+  return { scannedCount: webTabs.length, updates, duplicates };
+}
+
+/**
+ * Cleans every open tab (or every tab of one window) that has tracking.
+ * Discarded tabs are skipped, since any change would load them again. With
+ * access to all sites, background tabs are only cleaned in place, and those
+ * whose URL can't be swapped in place are skipped rather than reloaded.
+ * Without that access (or with in-place cleaning off) nothing can be cleaned
+ * in place in the background, so background tabs navigate to their cleaned URL.
+ * @param options - windowId: only this window, cleanUrlOptions: cleaning options,
+ *   inPlace: clean with history.replaceState when possible
+ * @returns How many tabs were cleaned or skipped, and the duplicates that could be closed
+ */
+async function cleanOpenTabs(options: CleanOpenTabsOptions): Promise<TabCleanupReport> {
+  const tabs = await chrome.tabs.query(options.windowId !== undefined ? { windowId: options.windowId } : {});
+  const plan = planTabCleanup(tabs, options.cleanUrlOptions);
+  const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+
+  // activeTab only covers the focused tab - other pages need host access to be scripted
+  const canCleanInBackground = options.inPlace && plan.updates.length > 0 &&
+    await chrome.permissions.contains({ origins: [ALL_SITES_PATTERN] });
+
+  let cleanedCount = 0;
+  let skippedCount = 0;
+  for (const update of plan.updates) {
+    const tab = tabsById.get(update.tabId);
+
+    if (tab?.discarded) {
+      skippedCount++;
+      continue;
+    }
+
+    try {
+      if (tab?.active || !canCleanInBackground) {
+        await applyCleanUrlToTab(update.tabId, update.fromUrl, update.toUrl, options.inPlace);
+      } else if (!(canReplaceInPlace(update.fromUrl, update.toUrl) &&
+        await replaceUrlInPlace(update.tabId, update.fromUrl, update.toUrl))) {
+        // Navigating would reload a page the user isn't looking at
+        skippedCount++;
+        continue;
+      }
+      cleanedCount++;
+    } catch (error) {
+      // The tab may have been closed meanwhile
+      console.warn(`Could not clean tab ${update.tabId}:`, error);
+    }
+  }
+
+  return {
+    scannedCount: plan.scannedCount,
+    cleanedCount,
+    skippedCount,
+    updates: plan.updates,
+    duplicates: plan.duplicates,
+    duplicateCount: plan.duplicates.reduce((count, group) => count + group.closeTabIds.length, 0)
+  };
+}
+
+/**
+ * Closes duplicate tabs found by cleanOpenTabs. Tabs that were closed or moved
+ * on to another page since then are left alone.
+ * @param groups - Duplicate groups from the report
+ * @param cleanUrlOptions - Cleaning options used for the report
+ * @returns Number of tabs closed
+ */
+async function closeDuplicateTabs(groups: DuplicateTabGroup[], cleanUrlOptions: CleanUrlOptions = {}): Promise<number> {
+  const openTabs = new Map((await chrome.tabs.query({})).filter(isWebTab).map(tab => [tab.id, tab]));
+  const showsUrl = (tabId: number, url: string) => {
+    const tab = openTabs.get(tabId);
+    if (!tab) {
+      return false;
+    }
+    const result = cleanUrl(tab.url, cleanUrlOptions);
+    return (result.success && result.cleanedUrl ? result.cleanedUrl : tab.url) === url;
+  };
+
+  // Only close a duplicate while the tab it duplicates is still there
+  const tabIds = groups
+    .filter(group => showsUrl(group.keepTabId, group.url))
+    .flatMap(group => group.closeTabIds.filter(tabId => showsUrl(tabId, group.url)));
+
+  if (tabIds.length > 0) {
+    await chrome.tabs.remove(tabIds);
+  }
+  return tabIds.length;
+}
+
+/**
+ * Summarizes a tab cleanup for notifications and the popup
+ * @param report - Report returned by cleanOpenTabs
+ * @returns Human-readable summary (e.g. "Cleaned 3 of 12 tabs, 2 duplicate tabs found")
+ */
+function describeTabCleanup(report: TabCleanupReport): string {
+  const parts = [
+    report.cleanedCount > 0 || report.skippedCount > 0
+      ? `Cleaned ${report.cleanedCount} of ${report.scannedCount} tabs`
+      : `No tracking parameters found in ${report.scannedCount} tabs`
+  ];
+
+  if (report.skippedCount > 0) {
+    parts.push(`${report.skippedCount} background tab${report.skippedCount === 1 ? '' : 's'} skipped to avoid a reload`);
+  }
+  if (report.duplicateCount > 0) {
+    parts.push(`${report.duplicateCount} duplicate tab${report.duplicateCount === 1 ? '' : 's'} found`);
+  }
+  return parts.join(', ');
+}
+
+// TypeScript type definitions
+export interface TabUpdate {
+  tabId: number;
+  fromUrl: string;
+  toUrl: string;
+  removedCount: number;
+}
+
+export interface DuplicateTabGroup {
+  /** Cleaned URL all tabs of the group show */
+  url: string;
+  keepTabId: number;
+  closeTabIds: number[];
+}
+
+export interface TabCleanupPlan {
+  /** Web page tabs looked at */
+  scannedCount: number;
+  updates: TabUpdate[];
+  duplicates: DuplicateTabGroup[];
+}
+
+export interface TabCleanupReport extends TabCleanupPlan {
+  /** Tabs actually cleaned */
+  cleanedCount: number;
+  /** Tabs with tracking left alone because cleaning them would reload them (discarded, or in the background and not cleanable in place) */
+  skippedCount: number;
+  /** Tabs that can be closed as duplicates */
+  duplicateCount: number;
+}
+
+export interface CleanOpenTabsOptions {
+  /** Only clean tabs of this window (default: all windows) */
+  windowId?: number;
+  cleanUrlOptions: CleanUrlOptions;
+  inPlace: boolean;
+}
+
+export {
+  planTabCleanup,
+  cleanOpenTabs,
+  closeDuplicateTabs,
+  describeTabCleanup
+};
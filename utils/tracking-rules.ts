@@ -0,0 +1,382 @@
+/**
+ * Clean URL - Tracking Rule Registry
+ * Every query parameter and path rule with the metadata used to remove,
+ * categorize and explain it. Run validateRules() after editing the lists.
+ */
+
+/**
+ * Query parameter rules - the single source of truth for removing and categorizing
+ * query parameters.
+ *
+ * Each rule lists parameter patterns: an exact name, a glob (`*` = any characters,
+ * `?` = one character) or a regular expression. Matching is case-insensitive;
+ * regular expressions are tested against the lowercased parameter name.
+ * The first matching rule wins, so exact names come before the broader patterns
+ * that also cover them (validateRules reports rules that can never match).
+ *
+ * Rules with `hosts`/`excludeHosts` only apply to some sites: a parameter can be
+ * tracking on one site and meaningful on another (Amazon's `tag` vs. a blog's
+ * `?tag=react`, a referral `ref` vs. GitHub's `?ref=main`). Host patterns match
+ * the host itself and any of its subdomains:
+ * - `example.com` - example.com, www.example.com, shop.example.com
+ * - `*.example.com` - subdomains only
+ * - `amazon.*` - a known public suffix (see PUBLIC_SUFFIXES in host-pattern.ts), e.g. amazon.com, www.amazon.co.jp
+ *
+ * Confidence decides which cleaning profile removes the parameter:
+ * 'medium' names are tracking on most sites but meaningful on some (`source`,
+ * `campaign`); 'low' names are only removed by the aggressive profile.
+ */
+const TRACKING_RULES: TrackingRule[] = [
+  // UTM parameters
+  { id: 'utm_source', params: ['utm_source'], category: 'utm', vendor: 'UTM', description: 'Campaign source (where the link was posted)', confidence: 'high' },
+  { id: 'utm_medium', params: ['utm_medium'], category: 'utm', vendor: 'UTM', description: 'Campaign medium (email, cpc, social, ...)', confidence: 'high' },
+  { id: 'utm_campaign', params: ['utm_campaign'], category: 'utm', vendor: 'UTM', description: 'Campaign name', confidence: 'high' },
+  { id: 'utm_term', params: ['utm_term'], category: 'utm', vendor: 'UTM', description: 'Paid search keyword', confidence: 'high' },
+  { id: 'utm_content', params: ['utm_content'], category: 'utm', vendor: 'UTM', description: 'Ad or link variant', confidence: 'high' },
+  { id: 'utm_nooverride', params: ['utm_nooverride'], category: 'utm', vendor: 'UTM', description: 'Keep first-click campaign attribution', confidence: 'high' },
+
+  // Social media trackers
+  { id: 'fbclid', params: ['fbclid'], category: 'social', vendor: 'Meta', description: 'Meta click identifier', confidence: 'high' },
+  { id: 'igshid', params: ['igshid'], category: 'social', vendor: 'Meta', description: 'Instagram share identifier', confidence: 'high' },
+  { id: 'ttclid', params: ['ttclid'], category: 'social', vendor: 'TikTok', description: 'TikTok click identifier', confidence: 'high' },
+  { id: 'tiktok_r', params: ['tiktok_r'], category: 'social', vendor: 'TikTok', description: 'TikTok referral marker', confidence: 'high' },
+  { id: 'li_fat_id', params: ['li_fat_id'], category: 'social', vendor: 'LinkedIn', description: 'LinkedIn first-party ad tracking ID', confidence: 'high' },
+  { id: 'mkt_tok', params: ['mkt_tok'], category: 'social', vendor: 'Marketo', description: 'Marketo/LinkedIn visitor token', confidence: 'high' },
+  { id: 'trk', params: ['trk'], category: 'social', vendor: 'Generic', description: 'General tracking marker', confidence: 'medium' },
+
+  // Ad platform trackers
+  { id: 'gclid', params: ['gclid'], category: 'ads', vendor: 'Google Ads', description: 'Google Ads click identifier', confidence: 'high' },
+  { id: 'yclid', params: ['yclid'], category: 'ads', vendor: 'Yandex', description: 'Yandex Direct click identifier', confidence: 'high' },
+  { id: 'dclid', params: ['dclid'], category: 'ads', vendor: 'Google Marketing Platform', description: 'DoubleClick click identifier', confidence: 'high' },
+  { id: 'msclkid', params: ['msclkid'], category: 'ads', vendor: 'Microsoft Advertising', description: 'Microsoft Advertising click identifier', confidence: 'high' },
+  { id: 'gad_source', params: ['gad_source'], category: 'ads', vendor: 'Google Ads', description: 'Google Ads source', confidence: 'high' },
+  { id: 'gad_campaignid', params: ['gad_campaignid'], category: 'ads', vendor: 'Google Ads', description: 'Google Ads campaign ID', confidence: 'high' },
+  { id: 'gbraid', params: ['gbraid'], category: 'ads', vendor: 'Google Ads', description: 'Google Ads app-to-web click identifier', confidence: 'high' },
+  { id: 'utm_ad', params: ['utm_ad'], category: 'ads', vendor: 'UTM', description: 'UTM ad identifier', confidence: 'high' },
+  { id: 'matchtype', params: ['matchtype'], category: 'ads', vendor: 'Google Ads', description: 'Search keyword match type (exact/broad/phrase)', confidence: 'medium' },
+  { id: 'campaign_id', params: ['campaign_id'], category: 'ads', vendor: 'Generic', description: 'Ad campaign identifier', confidence: 'medium' },
+  { id: 'ad_id', params: ['ad_id'], category: 'ads', vendor: 'Generic', description: 'Ad identifier', confidence: 'medium' },
+
+  // Affiliate & referral trackers
+  { id: 'referral', params: ['referral'], category: 'affiliate', vendor: 'Generic', description: 'Referral program marker', confidence: 'medium' },
+  { id: 'referrer', params: ['referrer'], category: 'affiliate', vendor: 'Generic', description: 'Referring site', confidence: 'medium' },
+  { id: 'affiliate_id', params: ['affiliate_id'], category: 'affiliate', vendor: 'Generic', description: 'Affiliate identifier', confidence: 'high' },
+  { id: 'afid', params: ['afid'], category: 'affiliate', vendor: 'Generic', description: 'Affiliate identifier', confidence: 'medium' },
+  { id: 'click_id', params: ['click_id', 'clickid'], category: 'affiliate', vendor: 'Generic', description: 'Affiliate network click identifier', confidence: 'medium' },
+  { id: 'subid', params: ['subid', 'sub_id'], category: 'affiliate', vendor: 'Generic', description: 'Affiliate sub-identifier', confidence: 'medium' },
+  { id: 'partner_id', params: ['partner_id'], category: 'affiliate', vendor: 'Generic', description: 'Partner identifier', confidence: 'medium' },
+  { id: 'sr_share', params: ['sr_share'], category: 'affiliate', vendor: 'ShareThis', description: 'ShareThis share marker', confidence: 'high' },
+  {
+    id: 'amazon-affiliate',
+    hosts: ['amazon.*'],
+    params: [
+      'tag',        // Amazon affiliate tag (most important)
+      'linkCode',   // Amazon Associates link code
+      'linkId',     // Amazon Associates link ID
+      'ascsubtag',  // Amazon affiliate sub-tag
+      'camp',       // Amazon campaign ID
+      'creative',   // Amazon creative/ad ID
+      'pd_rd_i',    // Product detail ranking - item
+      'pd_rd_r',    // Product detail ranking - request
+      'pd_rd_w',    // Product detail ranking - widget
+      'pd_rd_wg'    // Product detail ranking - widget group
+    ],
+    category: 'affiliate',
+    vendor: 'Amazon',
+    description: 'Amazon Associates affiliate and recommendation tracking',
+    confidence: 'high'
+  },
+  {
+    // `ref` names a branch, tag or commit on code hosts
+    id: 'referral-ref',
+    excludeHosts: ['github.com', 'gitlab.com', 'bitbucket.org'],
+    params: ['ref'],
+    category: 'affiliate',
+    vendor: 'Generic',
+    description: 'Referral source',
+    confidence: 'medium'
+  },
+
+  // Email & newsletter trackers
+  { id: 'ck_subscriber_id', params: ['ck_subscriber_id'], category: 'email', vendor: 'Kit (ConvertKit)', description: 'Newsletter subscriber ID', confidence: 'high' },
+  { id: 'mc_cid', params: ['mc_cid'], category: 'email', vendor: 'Mailchimp', description: 'Mailchimp campaign ID', confidence: 'high' },
+  { id: 'mc_eid', params: ['mc_eid'], category: 'email', vendor: 'Mailchimp', description: 'Mailchimp subscriber ID', confidence: 'high' },
+  { id: '_hsenc', params: ['_hsenc'], category: 'email', vendor: 'HubSpot', description: 'HubSpot email tracking token', confidence: 'high' },
+  { id: '_hsmi', params: ['_hsmi'], category: 'email', vendor: 'HubSpot', description: 'HubSpot email message ID', confidence: 'high' },
+  { id: '_bhlid', params: ['_bhlid'], category: 'email', vendor: 'beehiiv', description: 'beehiiv newsletter link ID', confidence: 'high' },
+
+  // Analytics & other
+  { id: 'sthash', params: ['sthash'], category: 'analytics', vendor: 'ShareThis', description: 'ShareThis share hash', confidence: 'high' },
+  { id: 'source', params: ['source'], category: 'analytics', vendor: 'Generic', description: 'Standalone source parameter', confidence: 'medium' },
+  { id: 'campaign', params: ['campaign'], category: 'analytics', vendor: 'Generic', description: 'Standalone campaign parameter', confidence: 'medium' },
+  { id: 'adgroup', params: ['adgroup'], category: 'ads', vendor: 'Generic', description: 'Ad group name', confidence: 'medium' },
+  { id: 'adposition', params: ['adposition'], category: 'ads', vendor: 'Generic', description: 'Ad position on the results page', confidence: 'medium' },
+
+  // Pattern-based trackers (catch new variants of known families)
+  { id: 'utm-other', params: ['utm_*'], category: 'utm', vendor: 'UTM', description: 'Other UTM parameter (utm_id, utm_source_platform, ...)', confidence: 'high' },
+  { id: 'hubspot-ads', params: ['hsa_*'], category: 'ads', vendor: 'HubSpot', description: 'HubSpot ads tracking', confidence: 'high' },
+  { id: 'omeda', params: ['oly_*'], category: 'email', vendor: 'Omeda', description: 'Omeda subscriber tracking', confidence: 'high' },
+  {
+    id: 'matomo-campaign',
+    params: [/^(?:pk|mtm)_(?:campaign|kwd|keyword|source|medium|content|cid|group|placement)$/],
+    category: 'analytics',
+    vendor: 'Matomo',
+    description: 'Matomo/Piwik campaign tracking',
+    confidence: 'high'
+  },
+
+  // Speculative trackers (aggressive profile only)
+  { id: 'icid', params: ['icid'], category: 'analytics', vendor: 'Generic', description: 'Internal campaign ID', confidence: 'low' },
+  { id: 'intcmp', params: ['intcmp'], category: 'analytics', vendor: 'Generic', description: 'Internal campaign', confidence: 'low' },
+  { id: 'cmpid', params: ['cmpid'], category: 'analytics', vendor: 'Generic', description: 'Campaign ID', confidence: 'low' },
+  { id: 'spm', params: ['spm'], category: 'analytics', vendor: 'Alibaba', description: 'Alibaba/Taobao page position tracking', confidence: 'low' },
+  { id: 'scm', params: ['scm'], category: 'analytics', vendor: 'Alibaba', description: 'Alibaba/Taobao recommendation tracking', confidence: 'low' },
+  { id: 'si', params: ['si'], category: 'social', vendor: 'YouTube/Spotify', description: 'Share identifier', confidence: 'low' },
+  { id: 'feature', params: ['feature'], category: 'social', vendor: 'YouTube', description: 'Share feature marker (feature=share)', confidence: 'low' }
+];
+
+/**
+ * Tracking that lives in the URL path rather than the query string.
+ * Each match of `pattern` is cut from the pathname and reported as a removed
+ * param named `key`, with the first capture group (if any) as its value.
+ */
+const PATH_TRACKING_RULES: PathTrackingRule[] = [
+  {
+    // /dp/B0XXXX/ref=sr_1_1 - Amazon's search/navigation position tracking
+    id: 'amazon-ref-segment',
+    hosts: ['amazon.*'],
+    category: 'analytics',
+    vendor: 'Amazon',
+    description: 'Amazon search and navigation position',
+    confidence: 'high',
+    key: 'ref',
+    pattern: /\/ref=([^/]*)/g
+  },
+  {
+    // /cart;jsessionid=ABC123 - Java servlet session ID leaked into shared links
+    id: 'jsessionid-matrix-param',
+    category: 'analytics',
+    vendor: 'Java Servlet',
+    description: 'Server session ID leaked into the link',
+    confidence: 'medium',
+    key: 'jsessionid',
+    pattern: /;jsessionid=([^/;]*)/gi
+  },
+  {
+    // /article/amp/ - AMP variant of a regular article page. Low confidence:
+    // /amp is just as often a real page (a repo, a docs section, a blog post)
+    id: 'amp-suffix',
+    category: 'analytics',
+    vendor: 'AMP',
+    description: 'AMP variant of the regular page',
+    confidence: 'low',
+    key: 'amp',
+    pattern: /\/amp\/?$/i
+  }
+];
+
+/** Categories shown in the popup statistics, see AnalyzeUrlResult.categories */
+const TRACKING_CATEGORIES: TrackingCategory[] = ['utm', 'social', 'ads', 'affiliate', 'email', 'analytics'];
+
+/** Order of confidence levels, lowest first */
+const CONFIDENCE_RANK: Record<Confidence, number> = { low: 0, medium: 1, high: 2 };
+
+/** Compiled glob patterns, keyed by the original glob */
+const globPatternCache = new Map<string, RegExp>();
+
+/**
+ * Checks whether a parameter name matches a tracking pattern
+ * @param key - Parameter name (matched case-insensitively)
+ * @param pattern - Exact name, glob (`utm_*`, `pd_rd_?`) or regular expression
+ * @returns True if the parameter name matches the pattern
+ * @example
+ * matchesParamPattern('UTM_ID', 'utm_*') // => true
+ * matchesParamPattern('pk_campaign', /^pk_campaign$/) // => true
+ * matchesParamPattern('fbclid', 'gclid') // => false
+ */
+function matchesParamPattern(key: string, pattern: ParamPattern): boolean {
+  const keyLower = key.toLowerCase();
+
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0; // Global/sticky regexes keep state between calls
+    return pattern.test(keyLower);
+  }
+
+  if (!/[*?]/.test(pattern)) {
+    return keyLower === pattern.toLowerCase();
+  }
+
+  let globRegex = globPatternCache.get(pattern);
+  if (!globRegex) {
+    const source = pattern.toLowerCase()
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    globRegex = new RegExp(`^${source}$`);
+    globPatternCache.set(pattern, globRegex);
+  }
+
+  return globRegex.test(keyLower);
+}
+
+/**
+ * Checks whether a rule is limited to some hosts
+ * @param rule - Tracking rule
+ * @returns True if the rule has `hosts` or `excludeHosts`
+ */
+function isScopedRule(rule: HostScope): boolean {
+  return Boolean(rule.hosts || rule.excludeHosts);
+}
+
+
+/**
+ * Checks whether two rules apply to exactly the same hosts
+ * @param a - First rule
+ * @param b - Second rule
+ * @returns True if `hosts` and `excludeHosts` are equal
+ */
+function hasSameScope(a: HostScope, b: HostScope): boolean {
+  const sameList = (x: string[] = [], y: string[] = []) =>
+    x.length === y.length && x.every((pattern, index) => pattern === y[index]);
+
+  return sameList(a.hosts, b.hosts) && sameList(a.excludeHosts, b.excludeHosts);
+}
+
+/**
+ * Normalizes a pattern so equal patterns can be compared
+ * @param pattern - Exact name, glob or regular expression
+ * @returns Lowercased name/glob, or the regex source with flags
+ */
+function patternKey(pattern: ParamPattern): string {
+  return pattern instanceof RegExp ? pattern.toString() : pattern.toLowerCase();
+}
+
+/**
+ * Checks the registry for mistakes that silently change what gets removed or how it is reported
+ * - duplicate: the same rule id, or the same pattern listed twice for the same hosts
+ * - shadowed: an exact name that an earlier rule already matches on every host and in
+ *   every profile where this rule would apply, so this rule's metadata is never reported
+ * - uncategorized: a rule without a known category, vendor or description
+ * @param rules - Query parameter rules (default: TRACKING_RULES)
+ * @param pathRules - Path segment rules (default: PATH_TRACKING_RULES)
+ * @returns The problems found, empty when the registry is consistent
+ * @example
+ * validateRules([
+ *   { id: 'utm', params: ['utm_*'], category: 'utm', vendor: 'UTM', description: 'UTM', confidence: 'high' },
+ *   { id: 'utm_ad', params: ['utm_ad'], category: 'ads', vendor: 'UTM', description: 'Ad', confidence: 'high' }
+ * ])
+ * // => [{ type: 'shadowed', rule: 'utm_ad', message: '"utm_ad" is already matched by rule "utm"' }]
+ */
+function validateRules(
+  rules: TrackingRule[] = TRACKING_RULES,
+  pathRules: PathTrackingRule[] = PATH_TRACKING_RULES
+): RuleIssue[] {
+  const issues: RuleIssue[] = [];
+  const seenIds = new Set<string>();
+
+  for (const rule of [...rules, ...pathRules]) {
+    if (seenIds.has(rule.id)) {
+      issues.push({ type: 'duplicate', rule: rule.id, message: `Rule id "${rule.id}" is used more than once` });
+    }
+    seenIds.add(rule.id);
+
+    if (!TRACKING_CATEGORIES.includes(rule.category) || !rule.vendor || !rule.description) {
+      issues.push({ type: 'uncategorized', rule: rule.id, message: `Rule "${rule.id}" needs a category, vendor and description` });
+    }
+  }
+
+  rules.forEach((rule, index) => {
+    const earlierRules = rules.slice(0, index);
+
+    rule.params.forEach((pattern, patternIndex) => {
+      const key = patternKey(pattern);
+      const duplicateOf = [...earlierRules, { ...rule, params: rule.params.slice(0, patternIndex) }].find(other =>
+        hasSameScope(other, rule) && other.params.some(otherPattern => patternKey(otherPattern) === key)
+      );
+
+      if (duplicateOf) {
+        issues.push({ type: 'duplicate', rule: rule.id, message: `"${key}" is already listed in rule "${duplicateOf.id}"` });
+        return;
+      }
+
+      if (typeof pattern !== 'string' || /[*?]/.test(pattern)) {
+        return;
+      }
+
+      const shadowedBy = earlierRules.find(other =>
+        (!isScopedRule(other) || hasSameScope(other, rule)) &&
+        CONFIDENCE_RANK[other.confidence] >= CONFIDENCE_RANK[rule.confidence] &&
+        other.params.some(otherPattern => matchesParamPattern(pattern, otherPattern))
+      );
+
+      if (shadowedBy) {
+        issues.push({ type: 'shadowed', rule: rule.id, message: `"${pattern}" is already matched by rule "${shadowedBy.id}"` });
+      }
+    });
+  });
+
+  return issues;
+}
+
+// TypeScript type definitions
+/** Exact parameter name, glob (`utm_*`) or regular expression */
+export type ParamPattern = string | RegExp;
+
+/** How sure we are that a rule only ever matches tracking */
+export type Confidence = 'high' | 'medium' | 'low';
+
+/** Category a tracking rule belongs to, see AnalyzeUrlResult.categories */
+export type TrackingCategory = 'utm' | 'social' | 'ads' | 'affiliate' | 'email' | 'analytics';
+
+export interface HostScope {
+  /** Host patterns the rule applies to (all hosts when omitted) */
+  hosts?: string[];
+  /** Host patterns the rule never applies to */
+  excludeHosts?: string[];
+}
+
+export interface TrackingRule extends HostScope {
+  /** Stable identifier reported in `RemovedParam.rule` */
+  id: string;
+  /** Parameter names or patterns (case-insensitive) */
+  params: ParamPattern[];
+  category: TrackingCategory;
+  /** Company or system that uses the parameters ('Generic' for common names) */
+  vendor: string;
+  /** Short human-readable explanation shown in the popup */
+  description: string;
+  /** How sure we are that the rule only matches tracking (see PROFILE_CONFIDENCE) */
+  confidence: Confidence;
+}
+
+export interface PathTrackingRule extends HostScope {
+  /** Stable identifier reported in `RemovedParam.rule` */
+  id: string;
+  category: TrackingCategory;
+  /** Company or system that adds the segment */
+  vendor: string;
+  /** Short human-readable explanation shown in the popup */
+  description: string;
+  /** How sure we are that the rule only matches tracking (see PROFILE_CONFIDENCE) */
+  confidence: Confidence;
+  /** Name reported in `RemovedParam.key` */
+  key: string;
+  /** Matches the tracking part of the pathname; the first capture group is the value */
+  pattern: RegExp;
+}
+
+export interface RuleIssue {
+  type: 'duplicate' | 'shadowed' | 'uncategorized';
+  /** Id of the offending rule */
+  rule: string;
+  message: string;
+}
+
+export {
+  matchesParamPattern,
+  isScopedRule,
+  validateRules,
+  TRACKING_RULES,
+  PATH_TRACKING_RULES,
+  TRACKING_CATEGORIES
+};
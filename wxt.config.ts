@@ -4,6 +4,8 @@ import { fileURLToPath } from 'node:url';
 
 import { defineConfig } from 'wxt';
 
+import { EXTERNAL_API } from './utils/config';
+
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
 // Read version from package.json (single source of truth)
@@ -11,13 +13,53 @@ const packageJson = JSON.parse(
   readFileSync(resolve(__dirname, 'package.json'), 'utf-8')
 );
 
+/**
+ * Reads a comma-separated list from a build-time environment variable
+ * @param name - Variable name
+ * @returns Entries of the list, empty if the variable isn't set
+ */
+function readEnvList(name: string): string[] {
+  return (process.env[name] ?? '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
 export default defineConfig({
   // Manifest configuration
   manifest: {
     name: 'Clean URL',
     version: packageJson.version,
     description: 'Remove tracking parameters from URLs with a single click. Cleaning UTM, social media, and affiliate tracking parameters.',
-    permissions: ['tabs', 'storage', 'contextMenus'],
+    permissions: ['tabs', 'storage', 'contextMenus', 'declarativeNetRequest', 'activeTab', 'scripting', 'notifications', 'offscreen', 'webNavigation'],
+    // Requested from the popup when the user turns on auto-clean
+    optional_host_permissions: ['<all_urls>'],
+    // Requested from the bookmark cleaner and privacy report pages when they first scan
+    optional_permissions: ['bookmarks', 'history'],
+    // Keyboard shortcuts, handled in background.ts (users can rebind them at chrome://extensions/shortcuts)
+    commands: {
+      'clean-current-tab': {
+        suggested_key: { default: 'Alt+Shift+C' },
+        description: 'Clean the current tab\'s URL'
+      },
+      'clean-and-copy-tab': {
+        suggested_key: { default: 'Alt+Shift+X' },
+        description: 'Clean the current tab\'s URL and copy it'
+      },
+      'clean-window-tabs': {
+        suggested_key: { default: 'Alt+Shift+W' },
+        description: 'Clean all tabs in the current window'
+      },
+      'clean-all-tabs': {
+        suggested_key: { default: 'Alt+Shift+A' },
+        description: 'Clean all open tabs and offer to close duplicates'
+      }
+    },
+    // Who may call the external messaging API (utils/external-api.ts), see EXTERNAL_API in utils/config.ts.
+    // Always declared: without the key Chrome would let every extension connect.
+    externally_connectable: {
+      ids: readEnvList(EXTERNAL_API.EXTENSION_IDS_ENV),
+      matches: readEnvList(EXTERNAL_API.ORIGINS_ENV).map(origin => `${origin}/*`)
+    },
+    // Type "clean" and a URL in the address bar (handled in background.ts)
+    omnibox: { keyword: 'clean' },
     author: { email: 'dojce1048@gmail.com' },
     homepage_url: 'https://github.com/laststance/clean-url',
 